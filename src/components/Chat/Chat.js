@@ -1,9 +1,12 @@
 import chatHtml from './Chat.html?raw';
 import chatStyles from './Chat.css?inline';
-import { effect } from '../../signals/signals_tc39';
+import { effect, createRoot } from '../../signals/signals_tc39';
 import { setupComponent } from '../../utilities/createComponent';
 import { messageInput, canSendMessage, sendMessage, activeThread } from '../../store/messageStore';
 
+// DOM writes from all effects coalesce into one animation frame
+const renderOptions = { scheduler: 'animationFrame' };
+
 class ChatComponent extends HTMLElement {
   constructor() {
     super();
@@ -12,14 +15,17 @@ class ChatComponent extends HTMLElement {
   }
 
   connectedCallback() {
-    this.effectDisposers = [];
     this.bindEvents();
-    this.bindEffects();
+    // Every effect created in bindEffects belongs to this root
+    this.disposeEffects = createRoot((dispose) => {
+      this.bindEffects();
+      return dispose;
+    });
   }
 
   disconnectedCallback() {
-    this.effectDisposers?.forEach((dispose) => dispose());
-    this.effectDisposers = [];
+    this.disposeEffects?.();
+    this.disposeEffects = null;
   }
 
   bindEvents() {
@@ -49,8 +55,8 @@ class ChatComponent extends HTMLElement {
   }
 
   bindEffects() {
-    this.effectDisposers.push(
-      effect(() => {
+    effect(
+      () => {
         const thread = activeThread.get();
         const titleEl = this.shadowRoot.querySelector('#chatTitle');
         const participantsEl = this.shadowRoot.querySelector('#chatParticipants');
@@ -66,15 +72,16 @@ class ChatComponent extends HTMLElement {
           titleEl.textContent = 'Select a conversation';
           participantsEl.textContent = 'Choose a thread from the sidebar to start messaging';
         }
-      })
+      },
+      { ...renderOptions, name: 'chat:header' }
     );
 
     // Update messages list with efficient incremental rendering
     let lastRenderedMessages = [];
     let lastThreadId = null;
 
-    this.effectDisposers.push(
-      effect(() => {
+    effect(
+      () => {
         const thread = activeThread.get();
         const container = this.shadowRoot.querySelector('#messagesContainer');
         if (!container) return;
@@ -150,35 +157,61 @@ class ChatComponent extends HTMLElement {
         requestAnimationFrame(() => {
           container.scrollTop = container.scrollHeight;
         });
-      })
+      },
+      {
+        ...renderOptions,
+        name: 'chat:messages',
+        // A failed render shows a fallback instead of a half-updated list; the
+        // next successful run re-renders the thread in full
+        onError: () => {
+          this.renderMessagesFallback();
+          lastRenderedMessages = [];
+          lastThreadId = null;
+        },
+      }
     );
 
     // Update send button state
-    this.effectDisposers.push(
-      effect(() => {
+    effect(
+      () => {
         const sendButton = this.shadowRoot.querySelector('#sendButton');
         const canSend = canSendMessage.get();
         if (sendButton) {
           sendButton.disabled = !canSend;
         }
-      })
+      },
+      { ...renderOptions, name: 'chat:send-button' }
     );
 
     // Keep input in sync with signal (only when programmatically cleared)
-    this.effectDisposers.push(
-      effect(() => {
+    effect(
+      () => {
         const messageInputEl = this.shadowRoot.querySelector('#messageInput');
         const signalValue = messageInput.get();
 
-        // Only update DOM if signal was cleared (empty) and DOM still has content
-        if (messageInputEl && signalValue === '' && messageInputEl.value !== '') {
-          messageInputEl.value = '';
+        // Only update DOM when the signal moved away from what was typed, e.g.
+        // cleared after sending or switched to another thread's draft
+        if (messageInputEl && messageInputEl.value !== signalValue) {
+          messageInputEl.value = signalValue;
           this.autoResizeTextarea(messageInputEl);
         }
-      })
+      },
+      { ...renderOptions, name: 'chat:input' }
     );
   }
 
+  renderMessagesFallback() {
+    const container = this.shadowRoot.querySelector('#messagesContainer');
+    if (container) {
+      container.innerHTML = `
+        <div class="empty-state error-state">
+          <h3>Messages could not be shown</h3>
+          <p>Something went wrong while rendering this conversation. Try selecting it again.</p>
+        </div>
+      `;
+    }
+  }
+
   handleSendMessage() {
     const content = messageInput.get().trim();
     if (content) {
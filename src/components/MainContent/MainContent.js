@@ -3,7 +3,12 @@ import mainStyles from './MainContent.css?inline';
 import { setupComponent } from '../../utilities/createComponent.js';
 import '../Chat/Chat.js';
 import '../Sidebar/Sidebar.js';
-import { startRandomMovieQuotes } from '../../store/messageStore.js';
+import { effect } from '../../signals/signals_tc39';
+import {
+  tabSync,
+  startRandomMovieQuotes,
+  stopRandomMovieQuotes,
+} from '../../store/messageStore.js';
 class MainContent extends HTMLElement {
   constructor() {
     super();
@@ -12,7 +17,20 @@ class MainContent extends HTMLElement {
   }
 
   connectedCallback() {
-    startRandomMovieQuotes();
+    // Only the leading tab posts quotes; the others receive them through tab sync
+    this.disposeQuotes = effect(
+      () => {
+        if (!tabSync.isLeader.get()) return;
+        startRandomMovieQuotes();
+        return stopRandomMovieQuotes;
+      },
+      { name: 'mainContent:quotes' }
+    );
+  }
+
+  disconnectedCallback() {
+    this.disposeQuotes?.();
+    this.disposeQuotes = null;
   }
 }
 
@@ -1,7 +1,7 @@
 import sidebarHtml from './Sidebar.html?raw';
 import sidebarStyles from './Sidebar.css?inline';
 import { setupComponent } from '../../utilities/createComponent.js';
-import { effect } from '../../signals/signals_tc39';
+import { effect, createRoot } from '../../signals/signals_tc39';
 import {
   totalThreadCount,
   totalMessageCount,
@@ -10,8 +10,12 @@ import {
   activeThreadId,
   selectThread,
   createNewThread,
+  history,
 } from '../../store/messageStore.js';
 
+// DOM writes from all effects coalesce into one animation frame
+const renderOptions = { scheduler: 'animationFrame' };
+
 class SidebarComponent extends HTMLElement {
   constructor() {
     super();
@@ -20,14 +24,17 @@ class SidebarComponent extends HTMLElement {
   }
 
   connectedCallback() {
-    this.effectDisposers = [];
     this.bindEvents();
-    this.bindEffects();
+    // Every effect created in bindEffects belongs to this root
+    this.disposeEffects = createRoot((dispose) => {
+      this.bindEffects();
+      return dispose;
+    });
   }
 
   disconnectedCallback() {
-    this.effectDisposers?.forEach((dispose) => dispose());
-    this.effectDisposers = [];
+    this.disposeEffects?.();
+    this.disposeEffects = null;
   }
 
   bindEvents() {
@@ -38,6 +45,14 @@ class SidebarComponent extends HTMLElement {
       createNewThread();
     });
 
+    // Undo and redo of sent messages and new threads
+    this.shadowRoot.querySelector('#undoBtn')?.addEventListener('click', () => {
+      history.undo();
+    });
+    this.shadowRoot.querySelector('#redoBtn')?.addEventListener('click', () => {
+      history.redo();
+    });
+
     // Thread selection (event delegation)
     const threadList = this.shadowRoot.querySelector('#threadList');
     if (!threadList) return;
@@ -52,28 +67,30 @@ class SidebarComponent extends HTMLElement {
 
   bindEffects() {
     // Update total threads count
-    this.effectDisposers.push(
-      effect(() => {
+    effect(
+      () => {
         const totalThreadsEl = this.shadowRoot.querySelector('#totalThreads');
         if (totalThreadsEl) {
           totalThreadsEl.textContent = totalThreadCount.get();
         }
-      })
+      },
+      { ...renderOptions, name: 'sidebar:thread-count' }
     );
 
     // Update total messages count
-    this.effectDisposers.push(
-      effect(() => {
+    effect(
+      () => {
         const totalMessagesEl = this.shadowRoot.querySelector('#totalMessages');
         if (totalMessagesEl) {
           totalMessagesEl.textContent = totalMessageCount.get();
         }
-      })
+      },
+      { ...renderOptions, name: 'sidebar:message-count' }
     );
 
     // Update unread count
-    this.effectDisposers.push(
-      effect(() => {
+    effect(
+      () => {
         const unreadCountEl = this.shadowRoot.querySelector('#unreadCount');
         if (unreadCountEl) {
           const count = unreadCount.get();
@@ -85,12 +102,24 @@ class SidebarComponent extends HTMLElement {
             statContainer.style.display = count > 0 ? 'flex' : 'none';
           }
         }
-      })
+      },
+      { ...renderOptions, name: 'sidebar:unread-count' }
+    );
+
+    // Enable undo and redo only when there is a step to apply
+    effect(
+      () => {
+        const undoBtn = this.shadowRoot.querySelector('#undoBtn');
+        const redoBtn = this.shadowRoot.querySelector('#redoBtn');
+        if (undoBtn) undoBtn.disabled = !history.canUndo.get();
+        if (redoBtn) redoBtn.disabled = !history.canRedo.get();
+      },
+      { ...renderOptions, name: 'sidebar:history' }
     );
 
     // Update thread list
-    this.effectDisposers.push(
-      effect(() => {
+    effect(
+      () => {
         const threadListEl = this.shadowRoot.querySelector('#threadList');
         if (!threadListEl) return;
 
@@ -112,7 +141,8 @@ class SidebarComponent extends HTMLElement {
       `
           )
           .join('');
-      })
+      },
+      { ...renderOptions, name: 'sidebar:thread-list' }
     );
   }
 }
@@ -0,0 +1,79 @@
+import { defaultSystem } from './signals_tc39.js';
+
+// Async derived signal. Dependencies are tracked while the callback runs
+// synchronously, i.e. up to its first await; a dependency change aborts the
+// in-flight run through its AbortSignal and starts a new one.
+function asyncComputed(callback, options = {}) {
+  const { initialValue, name = 'asyncComputed', system = defaultSystem } = options;
+  const { Signal, batch, effect } = system;
+
+  const valueState = new Signal.State(initialValue, { name: `${name}.valueState` });
+  const loadingState = new Signal.State(false, { name: `${name}.loadingState` });
+  const errorState = new Signal.State(undefined, { name: `${name}.errorState` });
+  const refreshCount = new Signal.State(0, { name: `${name}.refresh` });
+  const value = new Signal.Computed(() => valueState.get(), { name: `${name}.value` });
+  const loading = new Signal.Computed(() => loadingState.get(), { name: `${name}.loading` });
+  const error = new Signal.Computed(() => errorState.get(), { name: `${name}.error` });
+
+  const stop = effect(
+    () => {
+      refreshCount.get();
+
+      const controller = new AbortController();
+      let pending;
+      try {
+        pending = Promise.resolve(callback(controller.signal));
+      } catch (err) {
+        pending = Promise.reject(err);
+      }
+
+      Signal.subtle.untrack(() => loadingState.set(true));
+
+      pending.then(
+        (value) => {
+          if (controller.signal.aborted) return;
+          batch(() => {
+            valueState.set(value);
+            errorState.set(undefined);
+            loadingState.set(false);
+          });
+        },
+        (err) => {
+          if (controller.signal.aborted) return;
+          batch(() => {
+            errorState.set(err);
+            loadingState.set(false);
+          });
+        }
+      );
+
+      return () => controller.abort();
+    },
+    { name }
+  );
+
+  return {
+    value,
+    loading,
+    error,
+
+    get() {
+      return this.value.get();
+    },
+
+    refresh() {
+      refreshCount.set(refreshCount.peek() + 1);
+    },
+
+    // Ends loading before the views go, so anything still reading them settles
+    dispose() {
+      stop();
+      loadingState.set(false);
+      value.dispose();
+      loading.dispose();
+      error.dispose();
+    },
+  };
+}
+
+export { asyncComputed };
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Signal, batch, effect, createSignalSystem } from './signals_tc39.js';
+import { asyncComputed } from './asyncComputed.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('asyncComputed', () => {
+  it('should expose loading until the first run resolves', async () => {
+    const request = deferred();
+    const resource = asyncComputed(() => request.promise, { initialValue: [] });
+
+    expect(resource.loading.get()).toBe(true);
+    expect(resource.value.get()).toEqual([]);
+
+    request.resolve(['thread']);
+    await flush();
+
+    expect(resource.loading.get()).toBe(false);
+    expect(resource.get()).toEqual(['thread']);
+    expect(resource.error.get()).toBeUndefined();
+    resource.dispose();
+  });
+
+  it('should expose rejected runs as an error signal', async () => {
+    const failure = new Error('Network down');
+    const resource = asyncComputed(async () => {
+      throw failure;
+    });
+
+    await flush();
+    expect(resource.error.get()).toBe(failure);
+    expect(resource.loading.get()).toBe(false);
+    resource.dispose();
+  });
+
+  it('should treat synchronous throws as errors', async () => {
+    const resource = asyncComputed(() => {
+      throw new Error('Bad input');
+    });
+
+    await flush();
+    expect(resource.error.get().message).toBe('Bad input');
+    resource.dispose();
+  });
+
+  it('should rerun and abort the stale run when a dependency read before await changes', async () => {
+    const threadId = new Signal.State(1);
+    const signals = [];
+    const fetcher = vi.fn(async (abortSignal) => {
+      const id = threadId.get();
+      signals.push(abortSignal);
+      await flush();
+      return `thread-${id}`;
+    });
+
+    const resource = asyncComputed(fetcher);
+    threadId.set(2);
+    await flush();
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+
+    await flush();
+    expect(resource.get()).toBe('thread-2');
+    resource.dispose();
+  });
+
+  it('should not track reads after the first await', async () => {
+    const before = new Signal.State('a');
+    const after = new Signal.State('b');
+    const fetcher = vi.fn(async () => {
+      const first = before.get();
+      await null;
+      return first + after.get();
+    });
+
+    const resource = asyncComputed(fetcher);
+    await flush();
+    expect(resource.get()).toBe('ab');
+
+    after.set('c');
+    await flush();
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    resource.dispose();
+  });
+
+  it('should update value, loading and error together in one batch', async () => {
+    const request = deferred();
+    const resource = asyncComputed(() => request.promise);
+    const seen = [];
+
+    const dispose = effect(() => {
+      seen.push([resource.loading.get(), resource.value.get()]);
+    });
+
+    request.resolve(42);
+    await flush();
+    await flush();
+
+    expect(seen).toEqual([
+      [true, undefined],
+      [false, 42],
+    ]);
+    dispose();
+    resource.dispose();
+  });
+
+  it('should rerun on refresh()', async () => {
+    let count = 0;
+    const resource = asyncComputed(async () => ++count);
+    await flush();
+    expect(resource.get()).toBe(1);
+
+    resource.refresh();
+    await flush();
+    await flush();
+    expect(resource.get()).toBe(2);
+    resource.dispose();
+  });
+
+  it('should abort the current run and stop reacting on dispose', async () => {
+    const source = new Signal.State(0);
+    let lastSignal;
+    const fetcher = vi.fn((abortSignal) => {
+      source.get();
+      lastSignal = abortSignal;
+      return new Promise(() => {});
+    });
+
+    const resource = asyncComputed(fetcher);
+    resource.dispose();
+    expect(lastSignal.aborted).toBe(true);
+
+    batch(() => source.set(1));
+    await flush();
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('should end loading and dispose its signals on dispose', () => {
+    const isolated = createSignalSystem();
+    const resource = asyncComputed(() => new Promise(() => {}), {
+      name: 'remoteThreads',
+      system: isolated,
+    });
+    const { engine } = isolated;
+    const loading = vi.fn(() => resource.loading.get());
+    const stop = isolated.effect(loading, { scheduler: 'sync' });
+
+    const names = [resource.value, resource.loading, resource.error].map((node) =>
+      engine.getDebugName(node)
+    );
+    expect(names).toEqual(['remoteThreads.value', 'remoteThreads.loading', 'remoteThreads.error']);
+    expect(loading).toHaveLastReturnedWith(true);
+
+    resource.dispose();
+    expect(loading).toHaveLastReturnedWith(false);
+    expect(() => resource.loading.get()).toThrow('disposed');
+    stop();
+  });
+
+  it('should run inside the given system', async () => {
+    const isolated = createSignalSystem();
+    const source = new isolated.Signal.State(1);
+    const resource = asyncComputed(async () => source.get() * 2, { system: isolated });
+
+    await flush();
+    expect(resource.value).toBeInstanceOf(isolated.Signal.Computed);
+    expect(resource.get()).toBe(2);
+
+    source.set(4);
+    await flush();
+    await flush();
+    expect(resource.get()).toBe(8);
+    resource.dispose();
+  });
+});
@@ -0,0 +1,364 @@
+import { defaultSystem } from './signals_tc39.js';
+
+// Lazily created per-key signals. They are only created for reads inside a
+// computation, and never cut off on equality themselves: callers decide what
+// counts as a change, and a dropped signal is always bumped first so dependents
+// that still hold it recompute and pick up its replacement. A signal drops
+// itself once nothing watches it, so reads of missing keys don't pile up.
+class KeyedSignals {
+  constructor(system, name) {
+    this._system = system;
+    this._name = name;
+    this._signals = new Map();
+  }
+
+  track(key, read) {
+    if (!this._system.Signal.subtle.currentComputed()) return;
+
+    let signal = this._signals.get(key);
+    if (!signal) {
+      const keyed = this;
+      signal = new this._system.Signal.State(read(), {
+        name: `${this._name}(${String(key)})`,
+        equals: () => false,
+        [this._system.Signal.subtle.unwatched]() {
+          if (keyed._signals.get(key) === this) keyed.drop(key);
+        },
+      });
+      this._signals.set(key, signal);
+    }
+    signal.get();
+  }
+
+  notify(key, value) {
+    this._signals.get(key)?.set(value);
+  }
+
+  drop(key, value) {
+    this.notify(key, value);
+    this._signals.delete(key);
+  }
+}
+
+function createCounter(system, name) {
+  return new system.Signal.State(0, { name });
+}
+
+function bump(counter) {
+  counter.set(counter.peek() + 1);
+}
+
+// Inside a transaction, registers `undo` to run if it rolls back
+function onRollback(system, undo) {
+  system.engine.currentTransaction?.onRollback(undo);
+}
+
+// Map whose reads are tracked per key: `get(key)` and `has(key)` only depend on
+// that key, `size` only changes when entries are added or removed, and
+// iterating depends on every entry.
+class ReactiveMap {
+  constructor(entries, options = {}) {
+    const { name = 'ReactiveMap', system = defaultSystem } = options;
+    this._system = system;
+    this._map = new Map(entries);
+    this._values = new KeyedSignals(system, `${name}.get`);
+    this._presence = new KeyedSignals(system, `${name}.has`);
+    this._size = new system.Signal.State(this._map.size, { name: `${name}.size` });
+    this._keys = createCounter(system, `${name}.keys`);
+    this._iteration = createCounter(system, `${name}.entries`);
+  }
+
+  get size() {
+    return this._size.get();
+  }
+
+  get(key) {
+    this._values.track(key, () => this._map.get(key));
+    return this._map.get(key);
+  }
+
+  has(key) {
+    this._presence.track(key, () => this._map.has(key));
+    return this._map.has(key);
+  }
+
+  set(key, value) {
+    const hadKey = this._map.has(key);
+    const previous = this._map.get(key);
+    if (hadKey && previous === value) return this;
+
+    onRollback(this._system, hadKey ? () => this.set(key, previous) : () => this.delete(key));
+    this._map.set(key, value);
+    this._system.batch(() => {
+      this._values.notify(key, value);
+      if (!hadKey) {
+        this._presence.notify(key, true);
+        this._size.set(this._map.size);
+        bump(this._keys);
+      }
+      bump(this._iteration);
+    });
+    return this;
+  }
+
+  delete(key) {
+    const previous = this._map.get(key);
+    if (!this._map.delete(key)) return false;
+
+    onRollback(this._system, () => this.set(key, previous));
+    this._system.batch(() => {
+      this._values.drop(key, undefined);
+      this._presence.drop(key, false);
+      this._size.set(this._map.size);
+      bump(this._keys);
+      bump(this._iteration);
+    });
+    return true;
+  }
+
+  clear() {
+    this._system.batch(() => {
+      Array.from(this._map.keys()).forEach((key) => this.delete(key));
+    });
+  }
+
+  keys() {
+    this._keys.get();
+    return this._map.keys();
+  }
+
+  values() {
+    this._iteration.get();
+    return this._map.values();
+  }
+
+  entries() {
+    this._iteration.get();
+    return this._map.entries();
+  }
+
+  forEach(callback, thisArg) {
+    this._iteration.get();
+    this._map.forEach((value, key) => callback.call(thisArg, value, key, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+// Set whose `has(value)` only depends on that value, `size` only on the count,
+// and iteration on the whole membership.
+class ReactiveSet {
+  constructor(values, options = {}) {
+    const { name = 'ReactiveSet', system = defaultSystem } = options;
+    this._system = system;
+    this._set = new Set(values);
+    this._presence = new KeyedSignals(system, `${name}.has`);
+    this._size = new system.Signal.State(this._set.size, { name: `${name}.size` });
+    this._iteration = createCounter(system, `${name}.values`);
+  }
+
+  get size() {
+    return this._size.get();
+  }
+
+  has(value) {
+    this._presence.track(value, () => this._set.has(value));
+    return this._set.has(value);
+  }
+
+  add(value) {
+    if (this._set.has(value)) return this;
+
+    onRollback(this._system, () => this.delete(value));
+    this._set.add(value);
+    this._system.batch(() => {
+      this._presence.notify(value, true);
+      this._size.set(this._set.size);
+      bump(this._iteration);
+    });
+    return this;
+  }
+
+  delete(value) {
+    if (!this._set.delete(value)) return false;
+
+    onRollback(this._system, () => this.add(value));
+    this._system.batch(() => {
+      this._presence.drop(value, false);
+      this._size.set(this._set.size);
+      bump(this._iteration);
+    });
+    return true;
+  }
+
+  clear() {
+    this._system.batch(() => {
+      Array.from(this._set).forEach((value) => this.delete(value));
+    });
+  }
+
+  values() {
+    this._iteration.get();
+    return this._set.values();
+  }
+
+  keys() {
+    return this.values();
+  }
+
+  entries() {
+    this._iteration.get();
+    return this._set.entries();
+  }
+
+  forEach(callback, thisArg) {
+    this._iteration.get();
+    this._set.forEach((value) => callback.call(thisArg, value, value, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+}
+
+// Array whose reads are tracked per index plus `length`. Searches stop reading
+// at the first match, so `find` only depends on the items it looked at.
+class ReactiveArray {
+  constructor(items = [], options = {}) {
+    const { name = 'ReactiveArray', system = defaultSystem } = options;
+    this._system = system;
+    this._items = Array.from(items);
+    this._indexes = new KeyedSignals(system, `${name}.at`);
+    this._length = new system.Signal.State(this._items.length, { name: `${name}.length` });
+  }
+
+  get length() {
+    return this._length.get();
+  }
+
+  get(index) {
+    this._indexes.track(index, () => this._items[index]);
+    return this._items[index];
+  }
+
+  set(index, value) {
+    this._mutate((items) => {
+      items[index] = value;
+    });
+  }
+
+  push(...values) {
+    return this._mutate((items) => items.push(...values));
+  }
+
+  pop() {
+    return this._mutate((items) => items.pop());
+  }
+
+  shift() {
+    return this._mutate((items) => items.shift());
+  }
+
+  unshift(...values) {
+    return this._mutate((items) => items.unshift(...values));
+  }
+
+  splice(...args) {
+    return this._mutate((items) => items.splice(...args));
+  }
+
+  sort(compare) {
+    this._mutate((items) => items.sort(compare));
+    return this;
+  }
+
+  reverse() {
+    this._mutate((items) => items.reverse());
+    return this;
+  }
+
+  toArray() {
+    const length = this.length;
+    const result = new Array(length);
+    for (let i = 0; i < length; i++) {
+      result[i] = this.get(i);
+    }
+    return result;
+  }
+
+  find(predicate, thisArg) {
+    const index = this.findIndex(predicate, thisArg);
+    return index === -1 ? undefined : this._items[index];
+  }
+
+  findIndex(predicate, thisArg) {
+    const length = this.length;
+    for (let i = 0; i < length; i++) {
+      if (predicate.call(thisArg, this.get(i), i, this)) return i;
+    }
+    return -1;
+  }
+
+  some(predicate, thisArg) {
+    return this.findIndex(predicate, thisArg) !== -1;
+  }
+
+  every(predicate, thisArg) {
+    return this.findIndex((value, i, array) => !predicate.call(thisArg, value, i, array)) === -1;
+  }
+
+  indexOf(value) {
+    return this.findIndex((item) => item === value);
+  }
+
+  includes(value) {
+    return this.indexOf(value) !== -1;
+  }
+
+  map(callback, thisArg) {
+    return this.toArray().map((value, i) => callback.call(thisArg, value, i, this));
+  }
+
+  filter(predicate, thisArg) {
+    return this.toArray().filter((value, i) => predicate.call(thisArg, value, i, this));
+  }
+
+  forEach(callback, thisArg) {
+    this.toArray().forEach((value, i) => callback.call(thisArg, value, i, this));
+  }
+
+  reduce(callback, ...initialValue) {
+    return this.toArray().reduce((acc, value, i) => callback(acc, value, i, this), ...initialValue);
+  }
+
+  [Symbol.iterator]() {
+    return this.toArray()[Symbol.iterator]();
+  }
+
+  // Applies a native array operation, then notifies only the indexes whose
+  // item changed and, if it changed, the length
+  _mutate(operation) {
+    const previous = this._items.slice();
+    onRollback(this._system, () =>
+      this._mutate((items) => {
+        items.splice(0, items.length, ...previous);
+      })
+    );
+    const result = operation(this._items);
+    const length = Math.max(previous.length, this._items.length);
+
+    this._system.batch(() => {
+      for (let i = 0; i < length; i++) {
+        if (previous[i] !== this._items[i]) {
+          this._indexes.notify(i, this._items[i]);
+        }
+      }
+      this._length.set(this._items.length);
+    });
+    return result;
+  }
+}
+
+export { ReactiveMap, ReactiveSet, ReactiveArray };
@@ -0,0 +1,261 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Signal, effect, transaction, createSignalSystem } from './signals_tc39.js';
+import { ReactiveMap, ReactiveSet, ReactiveArray } from './collections.js';
+
+describe('ReactiveMap', () => {
+  it('should behave like a Map', () => {
+    const threads = new ReactiveMap([
+      [1, 'Team Standup'],
+      [2, 'Project Alpha'],
+    ]);
+
+    threads.set(3, 'Design Review');
+    threads.delete(1);
+
+    expect(threads.size).toBe(2);
+    expect(threads.has(1)).toBe(false);
+    expect(threads.get(3)).toBe('Design Review');
+    expect(Array.from(threads.keys())).toEqual([2, 3]);
+    expect(Array.from(threads).map(([id]) => id)).toEqual([2, 3]);
+  });
+
+  it('should not invalidate reads of one key when another key changes', () => {
+    const threads = new ReactiveMap([
+      [1, 'Team Standup'],
+      [2, 'Project Alpha'],
+    ]);
+    const spy = vi.fn(() => threads.get(1));
+    const name = new Signal.Computed(spy);
+    const dispose = effect(() => name.get(), { scheduler: 'sync' });
+
+    threads.set(2, 'Renamed');
+    threads.set(3, 'Design Review');
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    threads.set(1, 'Daily');
+    expect(name.get()).toBe('Daily');
+    expect(spy).toHaveBeenCalledTimes(2);
+    dispose();
+  });
+
+  it('should track has, size and iteration separately', () => {
+    const threads = new ReactiveMap([
+      [1, 'Team Standup'],
+      [2, 'Project Alpha'],
+    ]);
+    const hasSpy = vi.fn(() => threads.has(3));
+    const sizeSpy = vi.fn(() => threads.size);
+    const keysSpy = vi.fn(() => Array.from(threads.keys()));
+    const valuesSpy = vi.fn(() => Array.from(threads.values()));
+    const disposers = [hasSpy, sizeSpy, keysSpy, valuesSpy].map((spy) =>
+      effect(spy, { scheduler: 'sync' })
+    );
+
+    threads.set(1, 'Daily');
+    expect(hasSpy).toHaveBeenCalledTimes(1);
+    expect(sizeSpy).toHaveBeenCalledTimes(1);
+    expect(keysSpy).toHaveBeenCalledTimes(1);
+    expect(valuesSpy).toHaveBeenCalledTimes(2);
+
+    threads.set(3, 'Design Review');
+    expect(hasSpy).toHaveBeenCalledTimes(2);
+    expect(sizeSpy).toHaveBeenCalledTimes(2);
+    expect(keysSpy).toHaveBeenCalledTimes(2);
+    expect(valuesSpy).toHaveBeenCalledTimes(3);
+
+    disposers.forEach((dispose) => dispose());
+  });
+
+  it('should not notify when setting the same value', () => {
+    const thread = { id: 1 };
+    const threads = new ReactiveMap([[1, thread]]);
+    const spy = vi.fn(() => threads.get(1));
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    threads.set(1, thread);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    dispose();
+  });
+
+  it('should keep dependents of a deleted key up to date when it is added back', () => {
+    const map = new ReactiveMap([['draft', undefined]]);
+    const value = new Signal.Computed(() => map.get('draft'));
+
+    expect(value.get()).toBeUndefined();
+    map.delete('draft');
+    expect(value.get()).toBeUndefined();
+    map.set('draft', 'hello');
+    expect(value.get()).toBe('hello');
+  });
+
+  it('should notify every entry on clear in one batch', () => {
+    const threads = new ReactiveMap([
+      [1, 'Team Standup'],
+      [2, 'Project Alpha'],
+    ]);
+    const spy = vi.fn(() => [threads.get(1), threads.get(2), threads.size]);
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    threads.clear();
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveLastReturnedWith([undefined, undefined, 0]);
+    dispose();
+  });
+
+  it('should drop per-key signals once nothing watches them', () => {
+    const drafts = new ReactiveMap([[1, 'hello']]);
+    const draft = new Signal.Computed(() => [drafts.get(1), drafts.has(2), drafts.get(3)]);
+    const dispose = effect(() => draft.get(), { scheduler: 'sync' });
+
+    expect(drafts._values._signals.size).toBe(2);
+    expect(drafts._presence._signals.size).toBe(1);
+    dispose();
+    expect(drafts._values._signals.size).toBe(0);
+    expect(drafts._presence._signals.size).toBe(0);
+
+    drafts.set(1, 'updated');
+    expect(draft.get()).toEqual(['updated', false, undefined]);
+  });
+});
+
+describe('ReactiveSet', () => {
+  it('should track membership per value', () => {
+    const readIds = new ReactiveSet([1]);
+    const spy = vi.fn(() => readIds.has(1));
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    readIds.add(2);
+    readIds.add(1);
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    readIds.delete(1);
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveLastReturnedWith(false);
+    dispose();
+  });
+
+  it('should track size and iteration', () => {
+    const readIds = new ReactiveSet([1, 2]);
+    const values = new Signal.Computed(() => Array.from(readIds));
+    const size = new Signal.Computed(() => readIds.size);
+
+    expect(values.get()).toEqual([1, 2]);
+    readIds.add(3);
+    expect(values.get()).toEqual([1, 2, 3]);
+    expect(size.get()).toBe(3);
+
+    readIds.clear();
+    expect(values.get()).toEqual([]);
+    expect(size.get()).toBe(0);
+  });
+});
+
+describe('ReactiveArray', () => {
+  it('should support array mutations and reads', () => {
+    const messages = new ReactiveArray(['a', 'b']);
+
+    messages.push('c', 'd');
+    messages.splice(1, 1);
+    messages.unshift('z');
+
+    expect(messages.toArray()).toEqual(['z', 'a', 'c', 'd']);
+    expect(messages.length).toBe(4);
+    expect(messages.pop()).toBe('d');
+    expect(messages.shift()).toBe('z');
+    expect([...messages]).toEqual(['a', 'c']);
+    expect(messages.map((value) => value.toUpperCase())).toEqual(['A', 'C']);
+  });
+
+  it('should only notify indexes whose item changed', () => {
+    const messages = new ReactiveArray(['a', 'b']);
+    const firstSpy = vi.fn(() => messages.get(0));
+    const lengthSpy = vi.fn(() => messages.length);
+    const disposers = [firstSpy, lengthSpy].map((spy) => effect(spy, { scheduler: 'sync' }));
+
+    messages.push('c');
+    expect(firstSpy).toHaveBeenCalledTimes(1);
+    expect(lengthSpy).toHaveBeenCalledTimes(2);
+
+    messages.set(1, 'B');
+    expect(firstSpy).toHaveBeenCalledTimes(1);
+    expect(lengthSpy).toHaveBeenCalledTimes(2);
+
+    messages.unshift('z');
+    expect(firstSpy).toHaveBeenCalledTimes(2);
+    disposers.forEach((dispose) => dispose());
+  });
+
+  it('should only depend on the items a search looked at', () => {
+    const threads = new ReactiveArray([
+      { id: 1, name: 'Team Standup' },
+      { id: 2, name: 'Project Alpha' },
+    ]);
+    const spy = vi.fn(() => threads.find((thread) => thread.id === 1));
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    threads.set(1, { id: 2, name: 'Renamed' });
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    threads.set(0, { id: 1, name: 'Daily' });
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveLastReturnedWith({ id: 1, name: 'Daily' });
+    dispose();
+  });
+
+  it('should drop the signals of indexes past a shrink once unwatched', () => {
+    const messages = new ReactiveArray(['a', 'b', 'c']);
+    const dispose = effect(() => messages.get(messages.length - 1), { scheduler: 'sync' });
+
+    messages.pop();
+    messages.pop();
+    expect(messages._indexes._signals.size).toBe(1);
+    dispose();
+    expect(messages._indexes._signals.size).toBe(0);
+  });
+});
+
+describe('collections in transactions', () => {
+  it('should restore their contents when a transaction rolls back', () => {
+    const drafts = new ReactiveMap([[1, 'hello']]);
+    const read = new ReactiveSet([1]);
+    const order = new ReactiveArray(['a', 'b']);
+    const size = new Signal.Computed(() => drafts.size);
+    size.get();
+
+    expect(() =>
+      transaction(() => {
+        drafts.set(1, 'hello there');
+        drafts.set(2, 'new');
+        read.delete(1);
+        order.reverse();
+        order.push('c');
+        expect(size.get()).toBe(2);
+        throw new Error('boom');
+      })
+    ).toThrow('boom');
+
+    expect(Array.from(drafts)).toEqual([[1, 'hello']]);
+    expect(size.get()).toBe(1);
+    expect(read.has(1)).toBe(true);
+    expect(order.toArray()).toEqual(['a', 'b']);
+  });
+});
+
+describe('collection options', () => {
+  it('should use the given system and name', () => {
+    const isolated = createSignalSystem();
+    const threads = new ReactiveMap([[1, 'Team Standup']], { system: isolated, name: 'threads' });
+    const seen = [];
+    const dispose = isolated.effect(() => seen.push(threads.get(1)), { scheduler: 'sync' });
+
+    threads.set(1, 'Daily');
+
+    expect(seen).toEqual(['Team Standup', 'Daily']);
+    expect(isolated.engine.getNodes().map((node) => isolated.engine.getDebugName(node))).toContain(
+      'threads.get(1)'
+    );
+    dispose();
+  });
+});
@@ -0,0 +1,422 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { engines } from './engines.js';
+
+// The same behavior, checked against every engine. Tests always flush() after
+// writing, so they hold for synchronous and scheduled effects alike; behavior
+// that differs on purpose is covered per feature at the end.
+describe.each(engines)('$name conformance', (engine) => {
+  let r;
+
+  beforeEach(() => {
+    r = engine.create();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('signals', () => {
+    it('should read, write and peek', () => {
+      const count = r.signal(1);
+
+      count.set(2);
+
+      expect(count.get()).toBe(2);
+      expect(count.peek()).toBe(2);
+    });
+
+    it('should not notify when set to the same value', () => {
+      const count = r.signal(1);
+      const spy = vi.fn(() => count.get());
+      r.effect(spy);
+      r.flush();
+
+      count.set(1);
+      r.flush();
+
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('computeds', () => {
+    it('should compute lazily and cache the result', () => {
+      const count = r.signal(1);
+      const spy = vi.fn(() => count.get() * 2);
+      const doubled = r.computed(spy);
+      expect(spy).not.toHaveBeenCalled();
+
+      expect(doubled.get()).toBe(2);
+      expect(doubled.get()).toBe(2);
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should recompute after a dependency changes', () => {
+      const count = r.signal(1);
+      const doubled = r.computed(() => count.get() * 2);
+      doubled.get();
+
+      count.set(5);
+
+      expect(doubled.get()).toBe(10);
+    });
+
+    it('should stay up to date after being peeked', () => {
+      const count = r.signal(1);
+      const doubled = r.computed(() => count.get() * 2);
+
+      expect(doubled.peek()).toBe(2);
+      count.set(2);
+
+      expect(doubled.peek()).toBe(4);
+      expect(doubled.get()).toBe(4);
+    });
+
+    it('should chain through other computeds', () => {
+      const count = r.signal(1);
+      const doubled = r.computed(() => count.get() * 2);
+      const label = r.computed(() => `${doubled.get()} items`);
+
+      count.set(3);
+
+      expect(label.get()).toBe('6 items');
+    });
+
+    it('should not recompute when an upstream computed produces an equal value', () => {
+      const count = r.signal(1);
+      const isEven = r.computed(() => count.get() % 2 === 0);
+      const spy = vi.fn(() => (isEven.get() ? 'even' : 'odd'));
+      const label = r.computed(spy);
+      label.get();
+
+      count.set(3);
+
+      expect(label.get()).toBe('odd');
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop depending on signals it no longer reads', () => {
+      const showName = r.signal(true);
+      const name = r.signal('Alice');
+      const spy = vi.fn(() => (showName.get() ? name.get() : 'hidden'));
+      const display = r.computed(spy);
+      display.get();
+
+      showName.set(false);
+      display.get();
+      name.set('Bob');
+      display.get();
+
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should detect circular dependencies', () => {
+      const a = r.computed(() => b.get());
+      const b = r.computed(() => a.get());
+
+      expect(() => a.get()).toThrow(/Circular dependency/);
+    });
+
+    it('should rethrow errors from the callback and recover once a source changes', () => {
+      const count = r.signal(-1);
+      const root = r.computed(() => {
+        if (count.get() < 0) throw new Error('negative');
+        return Math.sqrt(count.get());
+      });
+
+      expect(() => root.get()).toThrow('negative');
+
+      count.set(4);
+      expect(root.get()).toBe(2);
+    });
+  });
+
+  describe('effects', () => {
+    it('should run once initially and again after a change', () => {
+      const count = r.signal(1);
+      const seen = [];
+      r.effect(() => {
+        seen.push(count.get());
+      });
+      r.flush();
+
+      count.set(2);
+      r.flush();
+
+      expect(seen).toEqual([1, 2]);
+    });
+
+    it('should run the cleanup before rerunning and when disposed', () => {
+      const count = r.signal(1);
+      const log = [];
+      const dispose = r.effect(() => {
+        const value = count.get();
+        log.push(`run ${value}`);
+        return () => log.push(`cleanup ${value}`);
+      });
+      r.flush();
+
+      count.set(2);
+      r.flush();
+      dispose();
+
+      expect(log).toEqual(['run 1', 'cleanup 1', 'run 2', 'cleanup 2']);
+    });
+
+    it('should stop running once disposed', () => {
+      const count = r.signal(1);
+      const spy = vi.fn(() => count.get());
+      const dispose = r.effect(spy);
+      r.flush();
+
+      dispose();
+      count.set(2);
+      r.flush();
+
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should run once per change of a diamond and never see a mix of old and new values', () => {
+      const count = r.signal(1);
+      const doubled = r.computed(() => count.get() * 2);
+      const tripled = r.computed(() => count.get() * 3);
+      const seen = [];
+      r.effect(() => {
+        seen.push([count.get(), doubled.get(), tripled.get()]);
+      });
+      r.flush();
+
+      count.set(2);
+      r.flush();
+
+      expect(seen).toEqual([
+        [1, 2, 3],
+        [2, 4, 6],
+      ]);
+    });
+
+    it('should not rerun when a computed it reads produces an equal value', () => {
+      const count = r.signal(1);
+      const isEven = r.computed(() => count.get() % 2 === 0);
+      const spy = vi.fn(() => isEven.get());
+      r.effect(spy);
+      r.flush();
+
+      count.set(3);
+      r.flush();
+
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not rerun for signals it no longer reads', () => {
+      const showName = r.signal(true);
+      const name = r.signal('Alice');
+      const spy = vi.fn(() => (showName.get() ? name.get() : 'hidden'));
+      r.effect(spy);
+      r.flush();
+
+      showName.set(false);
+      r.flush();
+      name.set('Bob');
+      r.flush();
+
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('batch', () => {
+    it('should run effects once for several writes and return the result', () => {
+      const first = r.signal('John');
+      const last = r.signal('Doe');
+      const spy = vi.fn(() => `${first.get()} ${last.get()}`);
+      r.effect(spy);
+      r.flush();
+
+      const result = r.batch(() => {
+        first.set('Jane');
+        last.set('Smith');
+        return 'done';
+      });
+      r.flush();
+
+      expect(result).toBe('done');
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith('Jane Smith');
+    });
+
+    it('should defer effects until the outermost batch ends', () => {
+      const count = r.signal(0);
+      const spy = vi.fn(() => count.get());
+      r.effect(spy);
+      r.flush();
+
+      r.batch(() => {
+        count.set(1);
+        r.batch(() => count.set(2));
+        expect(spy).toHaveBeenCalledTimes(1);
+      });
+      r.flush();
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(2);
+    });
+
+    it('should let reads inside a batch see its writes', () => {
+      const count = r.signal(1);
+      const doubled = r.computed(() => count.get() * 2);
+      doubled.get();
+
+      r.batch(() => {
+        count.set(2);
+        expect(doubled.get()).toBe(4);
+      });
+    });
+  });
+
+  describe('transaction', () => {
+    it('should roll back writes and notify nothing when the callback throws', () => {
+      const threadId = r.signal(1);
+      const doubled = r.computed(() => threadId.get() * 2);
+      const spy = vi.fn(() => doubled.get());
+      r.effect(spy);
+      r.flush();
+
+      expect(() =>
+        r.transaction(() => {
+          threadId.set(2);
+          expect(doubled.get()).toBe(4);
+          throw new Error('failed halfway');
+        })
+      ).toThrow('failed halfway');
+      r.flush();
+
+      expect(threadId.get()).toBe(1);
+      expect(doubled.get()).toBe(2);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      threadId.set(3);
+      r.flush();
+      expect(spy).toHaveLastReturnedWith(6);
+    });
+  });
+
+  describe('linked', () => {
+    it('should keep an override until the source changes', () => {
+      const threadId = r.signal(1);
+      const draft = r.linked(
+        () => threadId.get(),
+        (id) => `draft for ${id}`
+      );
+
+      draft.set('edited');
+      expect(draft.get()).toBe('edited');
+
+      threadId.set(2);
+      expect(draft.get()).toBe('draft for 2');
+
+      draft.set('edited again');
+      draft.reset();
+      expect(draft.get()).toBe('draft for 2');
+    });
+  });
+
+  describe('errors and disposal', () => {
+    it('should detach disposed computeds from the graph and refuse reads', () => {
+      const count = r.signal(1);
+      const spy = vi.fn(() => count.get());
+      const current = r.computed(spy);
+      current.get();
+
+      r.dispose(current);
+      count.set(2);
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(() => current.get()).toThrow(/disposed/);
+    });
+
+    it('should refuse reads and writes of a disposed signal', () => {
+      const count = r.signal(1);
+
+      r.dispose(count);
+
+      expect(() => count.get()).toThrow(/disposed/);
+      expect(() => count.set(2)).toThrow(/disposed/);
+    });
+
+    it('should cache a thrown error until a dependency changes', () => {
+      const divisor = r.signal(0);
+      const spy = vi.fn(() => {
+        if (divisor.get() === 0) throw new Error('division by zero');
+        return 10 / divisor.get();
+      });
+      const quotient = r.computed(spy);
+
+      expect(() => quotient.get()).toThrow('division by zero');
+      expect(() => quotient.get()).toThrow('division by zero');
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(console.error).not.toHaveBeenCalled();
+
+      divisor.set(2);
+      expect(quotient.get()).toBe(5);
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should rerun dependents when a computed starts or stops throwing', () => {
+      const count = r.signal(1);
+      const checked = r.computed(() => {
+        if (count.get() < 0) throw new Error('negative');
+        return 'ok';
+      });
+      const status = r.computed(() => {
+        try {
+          return checked.get();
+        } catch (err) {
+          return err.message;
+        }
+      });
+
+      expect(status.get()).toBe('ok');
+      count.set(-1);
+      expect(status.get()).toBe('negative');
+      count.set(2);
+      expect(status.get()).toBe('ok');
+    });
+  });
+
+  describe('documented differences', () => {
+    it.runIf(engine.features.effectScheduling === 'sync')(
+      'should run effects before set() returns',
+      () => {
+        const count = r.signal(0);
+        const spy = vi.fn(() => count.get());
+        r.effect(spy);
+
+        count.set(1);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+      }
+    );
+
+    it.runIf(engine.features.effectScheduling === 'scheduled')(
+      'should run effects on the scheduler it was created with',
+      async () => {
+        const count = r.signal(0);
+        const spy = vi.fn(() => count.get());
+        r.effect(spy);
+        await Promise.resolve();
+
+        count.set(1);
+        expect(spy).toHaveBeenCalledTimes(1);
+        await Promise.resolve();
+        expect(spy).toHaveBeenCalledTimes(2);
+
+        const sync = engine.create({ scheduler: 'sync' });
+        const syncCount = sync.signal(0);
+        const syncSpy = vi.fn(() => syncCount.get());
+        sync.effect(syncSpy);
+        syncCount.set(1);
+        expect(syncSpy).toHaveBeenCalledTimes(2);
+      }
+    );
+  });
+});
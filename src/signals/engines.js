@@ -0,0 +1,66 @@
+import { createSignalSystem as createFactorySystem } from './signals.js';
+import { createSignalSystem as createTC39System } from './signals_tc39.js';
+import { linkedSignal } from './linkedSignal.js';
+
+// Both engines behind one interface, so the same code (and the conformance
+// suite) can run on either. create(options) returns an isolated instance with
+//   signal(value)               -> { get, set, peek }
+//   computed(fn)                -> { get, peek }
+//   linked(source, computation) -> { get, peek, set, reset }
+//   effect(fn)                  -> dispose; fn may return a cleanup
+//   batch(fn), transaction(fn)  -> the result of fn
+//   flush()                     -> runs pending effects now
+//   dispose(node)
+//
+// `features` lists where the engines deliberately differ:
+//   effectScheduling   - 'sync': effects run before set() returns, or when the
+//                        outermost batch ends. 'scheduled': they run on the
+//                        scheduler passed to create() (default 'microtask';
+//                        `scheduler: 'sync'` matches the factory engine)
+
+const factoryEngine = {
+  name: 'signals.js',
+  features: {
+    effectScheduling: 'sync',
+  },
+
+  create() {
+    const { signal, computed, linked, effect, batch, transaction } = createFactorySystem();
+    return {
+      signal,
+      computed,
+      linked,
+      effect,
+      batch,
+      transaction,
+      flush: () => {},
+      dispose: (node) => node.dispose(),
+    };
+  },
+};
+
+const tc39Engine = {
+  name: 'signals_tc39.js',
+  features: {
+    effectScheduling: 'scheduled',
+  },
+
+  create({ scheduler = 'microtask' } = {}) {
+    const system = createTC39System();
+    const { Signal } = system;
+    return {
+      signal: (value) => new Signal.State(value),
+      computed: (fn) => new Signal.Computed(fn),
+      linked: (source, computation) => linkedSignal(source, { computation, system }),
+      effect: (fn) => system.effect(fn, { scheduler }),
+      batch: system.batch,
+      transaction: system.transaction,
+      flush: system.flushSync,
+      dispose: (node) => node.dispose(),
+    };
+  },
+};
+
+const engines = [factoryEngine, tc39Engine];
+
+export { engines, factoryEngine, tc39Engine };
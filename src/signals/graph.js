@@ -0,0 +1,98 @@
+import { defaultSystem, summarizeValue } from './signals_tc39.js';
+
+function describeNode(node, engine) {
+  const kind = engine.getNodeKind(node);
+  const description = {
+    id: node._id,
+    kind,
+    name: engine.getDebugName(node),
+    stale: engine.isStale(node),
+  };
+
+  if (kind === 'state') {
+    description.value = summarizeValue(node._value);
+  } else if (kind === 'computed') {
+    description.value = summarizeValue(node._hasError ? node._error : node._cachedValue);
+  }
+
+  return description;
+}
+
+function getSources(node, Signal) {
+  return Signal.subtle.introspectSources(node);
+}
+
+function getSinks(node, Signal) {
+  return node instanceof Signal.subtle.Watcher ? [] : Signal.subtle.introspectSinks(node);
+}
+
+// Snapshot of the reactive graph: every node connected to `roots`, or every
+// live node in the system when no roots are given. Edges point from source to sink
+// and are read from each node's sources, since unobserved computeds have no
+// subscriptions upstream.
+function snapshotGraph(roots, options = {}) {
+  const { system = defaultSystem } = options;
+  const { Signal } = system;
+
+  const visited = new Set();
+  const stack = roots ? [...roots] : system.engine.getNodes();
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (visited.has(node)) continue;
+    visited.add(node);
+
+    getSources(node, Signal).forEach((source) => stack.push(source));
+    getSinks(node, Signal).forEach((sink) => stack.push(sink));
+  }
+
+  const nodes = Array.from(visited).sort((a, b) => a._id - b._id);
+  const edges = [];
+  nodes.forEach((node) => {
+    getSources(node, Signal).forEach((source) => {
+      if (visited.has(source)) {
+        edges.push({ from: source._id, to: node._id });
+      }
+    });
+  });
+
+  return {
+    nodes: nodes.map((node) => describeNode(node, system.engine)),
+    edges,
+  };
+}
+
+function graphToJSON(snapshot) {
+  return JSON.stringify(snapshot, null, 2);
+}
+
+const DOT_SHAPES = {
+  state: 'ellipse',
+  computed: 'box',
+  effect: 'doubleoctagon',
+  watcher: 'octagon',
+};
+
+function escapeDot(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function graphToDOT(snapshot) {
+  const lines = ['digraph signals {', '  rankdir=LR;'];
+
+  snapshot.nodes.forEach((node) => {
+    const name = escapeDot(node.name);
+    const label = node.value === undefined ? name : `${name}\\n${escapeDot(node.value)}`;
+    const style = node.stale ? ', style=dashed' : '';
+    lines.push(`  n${node.id} [label="${label}", shape=${DOT_SHAPES[node.kind]}${style}];`);
+  });
+
+  snapshot.edges.forEach((edge) => {
+    lines.push(`  n${edge.from} -> n${edge.to};`);
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+export { snapshotGraph, graphToJSON, graphToDOT };
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import { createSignalSystem } from './signals_tc39.js';
+import { snapshotGraph, graphToJSON, graphToDOT } from './graph.js';
+
+describe('snapshotGraph', () => {
+  it('should describe nodes and source-to-sink edges reachable from roots', () => {
+    const system = createSignalSystem();
+    const threads = new system.Signal.State([{ id: 1, name: 'Team Standup' }]);
+    const activeThreadId = new system.Signal.State(1);
+    const threadCount = new system.Signal.Computed(() => threads.get().length);
+    const activeThread = new system.Signal.Computed(() =>
+      threads.get().find((thread) => thread.id === activeThreadId.get())
+    );
+    activeThread.get();
+    threadCount.get();
+
+    const snapshot = snapshotGraph([activeThread, threadCount], { system });
+    const ids = snapshot.nodes.map((node) => node.id);
+
+    expect(ids).toEqual(
+      [threads, activeThreadId, threadCount, activeThread].map((node) => node._id)
+    );
+    expect(snapshot.edges).toEqual(
+      expect.arrayContaining([
+        { from: threads._id, to: activeThread._id },
+        { from: activeThreadId._id, to: activeThread._id },
+        { from: threads._id, to: threadCount._id },
+      ])
+    );
+  });
+
+  it('should summarize values and report stale computeds', () => {
+    const system = createSignalSystem();
+    const threads = new system.Signal.State([{ id: 1, name: 'Team Standup', messages: [] }]);
+    const firstThread = new system.Signal.Computed(() => threads.get()[0]);
+    firstThread.get();
+    threads.set([]);
+
+    const snapshot = snapshotGraph([firstThread], { system });
+    const state = snapshot.nodes.find((node) => node.id === threads._id);
+    const computed = snapshot.nodes.find((node) => node.id === firstThread._id);
+
+    expect(state).toEqual({
+      id: threads._id,
+      kind: 'state',
+      name: `state#${threads._id}`,
+      value: 'Array(0)',
+      stale: false,
+    });
+    expect(computed.kind).toBe('computed');
+    expect(computed.stale).toBe(true);
+    expect(computed.value).toBe('{id, name, messages}');
+  });
+
+  it('should report cached computed errors as values', () => {
+    const system = createSignalSystem();
+    const failing = new system.Signal.Computed(() => {
+      throw new Error('Boom');
+    });
+
+    try {
+      failing.get();
+    } catch {
+      // expected
+    }
+
+    const [node] = snapshotGraph([failing], { system }).nodes;
+    expect(node.value).toBe('Error: Boom');
+  });
+
+  it('should reach only observed computeds through sinks', () => {
+    const system = createSignalSystem();
+    const threads = new system.Signal.State([]);
+    const observed = new system.Signal.Computed(() => threads.get().length);
+    const unobserved = new system.Signal.Computed(() => threads.get()[0]);
+    unobserved.get();
+    const dispose = system.effect(() => observed.get());
+
+    const ids = snapshotGraph([threads], { system }).nodes.map((node) => node.id);
+
+    expect(ids).toContain(observed._id);
+    expect(ids).not.toContain(unobserved._id);
+    dispose();
+  });
+
+  it('should include effects and watchers as sinks', () => {
+    const system = createSignalSystem();
+    const threads = new system.Signal.State([]);
+    const dispose = system.effect(() => threads.get());
+    const watcher = new system.Signal.subtle.Watcher(() => {});
+    watcher.watch(threads);
+
+    const snapshot = snapshotGraph([threads], { system });
+    const kinds = snapshot.nodes.map((node) => node.kind);
+
+    expect(kinds).toContain('effect');
+    expect(kinds).toContain('watcher');
+    dispose();
+  });
+
+  it('should walk the whole system when no roots are given', () => {
+    const system = createSignalSystem();
+    const threads = new system.Signal.State([]);
+    const threadCount = new system.Signal.Computed(() => threads.get().length);
+    const other = createSignalSystem();
+    new other.Signal.State('not included');
+
+    const snapshot = snapshotGraph(undefined, { system });
+    expect(snapshot.nodes.map((node) => node.id)).toEqual([threads._id, threadCount._id]);
+  });
+
+  it('should skip disposed nodes when walking the whole system', () => {
+    const system = createSignalSystem();
+    const state = new system.Signal.State(1);
+    state.dispose();
+
+    expect(snapshotGraph(undefined, { system }).nodes).toEqual([]);
+  });
+
+  it('should drop disposed nodes from the registry right away', () => {
+    const system = createSignalSystem();
+    const state = new system.Signal.State(1);
+    const doubled = new system.Signal.Computed(() => state.get() * 2);
+    const dispose = system.effect(() => doubled.get());
+    expect(system.engine.nodeRefs.size).toBe(3);
+
+    dispose();
+    doubled.dispose();
+    state.dispose();
+
+    expect(system.engine.nodeRefs.size).toBe(0);
+  });
+});
+
+describe('graph formats', () => {
+  it('should serialize snapshots to JSON', () => {
+    const system = createSignalSystem();
+    const threads = new system.Signal.State([{ id: 1, name: 'Team Standup' }]);
+    const threadCount = new system.Signal.Computed(() => threads.get().length);
+    threadCount.get();
+
+    const snapshot = snapshotGraph([threadCount], { system });
+    expect(JSON.parse(graphToJSON(snapshot))).toEqual(snapshot);
+  });
+
+  it('should render snapshots as Graphviz DOT', () => {
+    const system = createSignalSystem();
+    const name = new system.Signal.State('say "hi"');
+    const greeting = new system.Signal.Computed(() => `${name.get()}!`);
+    greeting.get();
+
+    const dot = graphToDOT(snapshotGraph([greeting], { system }));
+
+    expect(dot.startsWith('digraph signals {')).toBe(true);
+    expect(dot).toContain(
+      `n${name._id} [label="state#${name._id}\\n\\"say \\\\\\"hi\\\\\\"\\"", shape=ellipse];`
+    );
+    expect(dot).toContain(`n${greeting._id} [label="computed#${greeting._id}`);
+    expect(dot).toContain(`n${name._id} -> n${greeting._id};`);
+    expect(dot.endsWith('}')).toBe(true);
+  });
+});
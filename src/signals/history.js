@@ -0,0 +1,173 @@
+import { defaultSystem, deepEqual } from './signals_tc39.js';
+import { toTarget } from './store.js';
+
+// Marks a missing array item or object key while merging
+const ABSENT = Symbol('absent');
+// Returned by merge() when a step can't be applied
+const CONFLICT = Symbol('conflict');
+
+const isObject = (value) => typeof value === 'object' && value !== null;
+const isPlainObject = (value) => {
+  if (!isObject(value) || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// Applies the change from `base` to `target` onto `current`, a later value of
+// the same source. Places the change left alone keep their current value, so
+// writes made since `base` survive. Objects merge key by key and arrays index
+// by index; items appended by the change are appended after any appended
+// since. Two writes to the same primitive keep the newer one. Anything else
+// changed on both sides, such as an item that was edited but is to be removed,
+// is a conflict.
+function merge(base, current, target) {
+  if (current === base) return target;
+  if (target === base || target === current) return current;
+
+  if (Array.isArray(base) && Array.isArray(current) && Array.isArray(target)) {
+    return mergeArrays(base, current, target);
+  }
+  if (isPlainObject(base) && isPlainObject(current) && isPlainObject(target)) {
+    return mergeObjects(base, current, target);
+  }
+  if ([base, current, target].some((value) => value === ABSENT || isObject(value))) {
+    // A new object with equal contents, say one another tab sent, is no change
+    if (deepEqual(current, base)) return target;
+    if (deepEqual(current, target)) return current;
+    return CONFLICT;
+  }
+  return current;
+}
+
+function mergeArrays(base, current, target) {
+  if (target.length > base.length && base.every((item, i) => item === target[i])) {
+    return [...current, ...target.slice(base.length)];
+  }
+
+  const result = [];
+  const length = Math.max(base.length, current.length, target.length);
+  for (let i = 0; i < length; i++) {
+    const at = (array) => (i < array.length ? array[i] : ABSENT);
+    const value = merge(at(base), at(current), at(target));
+    if (value === CONFLICT) return CONFLICT;
+    if (value !== ABSENT) result.push(value);
+  }
+  return result;
+}
+
+function mergeObjects(base, current, target) {
+  const result = {};
+  const keys = new Set([...Object.keys(base), ...Object.keys(current), ...Object.keys(target)]);
+  for (const key of keys) {
+    const at = (object) => (Object.hasOwn(object, key) ? object[key] : ABSENT);
+    const value = merge(at(base), at(current), at(target));
+    if (value === CONFLICT) return CONFLICT;
+    if (value !== ABSENT) result[key] = value;
+  }
+  return result;
+}
+
+// Undo/redo over a fixed group of signals and stores. Each transaction records
+// the group's values before and after it ran. Undo merges the way back (after
+// to before) into the group's current values, and redo the way forward, so
+// changes made outside the history since, such as a reply appended to the same
+// thread, are kept. A step whose change conflicts with a later one can't be
+// undone (or redone) until that change is undone itself.
+function createHistory(sources, options = {}) {
+  const { limit = 100, name = 'history', system = defaultSystem } = options;
+  const { Signal, batch, transaction } = system;
+
+  const targets = sources.map(toTarget);
+  const undoStack = new Signal.State([], { name: `${name}.undoStack` });
+  const redoStack = new Signal.State([], { name: `${name}.redoStack` });
+  let transacting = false;
+
+  const readAll = () => targets.map((target) => target.read());
+  const writeAll = (values) => {
+    batch(() => targets.forEach((target, i) => target.write(values[i])));
+  };
+  const top = (stack) => stack[stack.length - 1];
+
+  // The group's values with the change from `base` to `target` merged in, or
+  // null on a conflict
+  const mergeAll = (base, target) => {
+    const merged = readAll().map((value, i) => merge(base[i], value, target[i]));
+    return merged.includes(CONFLICT) ? null : merged;
+  };
+
+  const canUndo = new Signal.Computed(
+    () => {
+      const entry = top(undoStack.get());
+      return entry !== undefined && mergeAll(entry.after, entry.before) !== null;
+    },
+    { name: `${name}.canUndo` }
+  );
+
+  const canRedo = new Signal.Computed(
+    () => {
+      const entry = top(redoStack.get());
+      return entry !== undefined && mergeAll(entry.before, entry.after) !== null;
+    },
+    { name: `${name}.canRedo` }
+  );
+
+  // Moves the top entry of `from` onto `to` after merging its change from
+  // `base` to `target` into the group
+  function step(from, to, base, target) {
+    const stack = from.peek();
+    const entry = top(stack);
+    const merged = entry && Signal.subtle.untrack(() => mergeAll(entry[base], entry[target]));
+    if (!merged) return false;
+
+    batch(() => {
+      writeAll(merged);
+      from.set(stack.slice(0, -1));
+      to.set([...to.peek(), entry]);
+    });
+    return true;
+  }
+
+  return {
+    canUndo,
+    canRedo,
+
+    // Runs `fn` as one transaction and records the result as a single undo
+    // step; if it throws, its writes are rolled back and nothing is recorded.
+    // Nested calls join the outer transaction.
+    transact(fn) {
+      if (transacting) return fn();
+
+      const before = Signal.subtle.untrack(readAll);
+      transacting = true;
+      try {
+        return transaction(fn);
+      } finally {
+        transacting = false;
+        const after = Signal.subtle.untrack(readAll);
+        if (after.some((value, i) => value !== before[i])) {
+          batch(() => {
+            undoStack.set([...undoStack.peek(), { before, after }].slice(-limit));
+            redoStack.set([]);
+          });
+        }
+      }
+    },
+
+    undo() {
+      return step(undoStack, redoStack, 'after', 'before');
+    },
+
+    redo() {
+      return step(redoStack, undoStack, 'before', 'after');
+    },
+
+    clear() {
+      batch(() => {
+        undoStack.set([]);
+        redoStack.set([]);
+      });
+    },
+  };
+}
+
+export { createHistory };
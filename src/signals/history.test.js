@@ -0,0 +1,231 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Signal, effect, createSignalSystem } from './signals_tc39.js';
+import { createStore } from './store.js';
+import { createHistory } from './history.js';
+
+describe('createHistory', () => {
+  it('should undo and redo a transaction', () => {
+    const messages = createStore({ items: [] });
+    const history = createHistory([messages]);
+
+    history.transact(() => {
+      messages.produce((draft) => {
+        draft.items.push({ content: 'hello' });
+      });
+    });
+    expect(history.canUndo.get()).toBe(true);
+
+    expect(history.undo()).toBe(true);
+    expect(messages.state.items.length).toBe(0);
+    expect(history.canUndo.get()).toBe(false);
+    expect(history.canRedo.get()).toBe(true);
+
+    expect(history.redo()).toBe(true);
+    expect(messages.state.items[0].content).toBe('hello');
+    expect(history.canRedo.get()).toBe(false);
+  });
+
+  it('should record writes to several sources as one step', () => {
+    const threads = createStore({ threads: [{ id: 1 }] });
+    const activeThreadId = new Signal.State(1);
+    const history = createHistory([threads, activeThreadId]);
+
+    history.transact(() => {
+      threads.produce((draft) => {
+        draft.threads.push({ id: 2 });
+      });
+      activeThreadId.set(2);
+    });
+    history.undo();
+
+    expect(threads.state.threads.length).toBe(1);
+    expect(activeThreadId.get()).toBe(1);
+  });
+
+  it('should leave signals outside the group alone', () => {
+    const count = new Signal.State(0);
+    const messageInput = new Signal.State('hello');
+    const history = createHistory([count]);
+
+    history.transact(() => {
+      count.set(1);
+      messageInput.set('');
+    });
+    messageInput.set('next draft');
+    history.undo();
+
+    expect(count.get()).toBe(0);
+    expect(messageInput.get()).toBe('next draft');
+  });
+
+  it('should not record transactions that changed nothing', () => {
+    const count = new Signal.State(0);
+    const messageInput = new Signal.State('');
+    const history = createHistory([count]);
+
+    history.transact(() => messageInput.set('typing'));
+
+    expect(history.canUndo.get()).toBe(false);
+  });
+
+  it('should roll back and record nothing when a transaction throws', () => {
+    const threads = createStore({ threads: [{ id: 1 }] });
+    const activeThreadId = new Signal.State(1);
+    const history = createHistory([threads, activeThreadId]);
+
+    expect(() =>
+      history.transact(() => {
+        activeThreadId.set(2);
+        threads.produce((draft) => {
+          draft.threads.push({ id: 2 });
+        });
+        throw new Error('failed');
+      })
+    ).toThrow('failed');
+
+    expect(activeThreadId.get()).toBe(1);
+    expect(threads.state.threads.length).toBe(1);
+    expect(history.canUndo.get()).toBe(false);
+  });
+
+  it('should join nested transactions', () => {
+    const activeThreadId = new Signal.State(1);
+    const history = createHistory([activeThreadId]);
+
+    history.transact(() => {
+      activeThreadId.set(2);
+      history.transact(() => activeThreadId.set(3));
+    });
+    history.undo();
+
+    expect(activeThreadId.get()).toBe(1);
+    expect(history.canUndo.get()).toBe(false);
+  });
+
+  it('should keep changes made outside the history when undoing and redoing', () => {
+    const messages = createStore({ items: [] });
+    const history = createHistory([messages]);
+    history.transact(() => {
+      messages.produce((draft) => {
+        draft.items.push({ content: 'hello' });
+      });
+    });
+
+    messages.produce((draft) => {
+      draft.items.push({ content: 'reply' });
+    });
+
+    expect(history.undo()).toBe(true);
+    expect(messages.snapshot().items).toEqual([{ content: 'reply' }]);
+
+    expect(history.redo()).toBe(true);
+    expect(messages.snapshot().items).toEqual([{ content: 'reply' }, { content: 'hello' }]);
+  });
+
+  it('should keep the newer value when a step and a later write set the same value', () => {
+    const threads = createStore({ threads: [{ id: 1 }] });
+    const activeThreadId = new Signal.State(1);
+    const history = createHistory([threads, activeThreadId]);
+    history.transact(() => {
+      threads.produce((draft) => {
+        draft.threads.push({ id: 2 });
+      });
+      activeThreadId.set(2);
+    });
+
+    activeThreadId.set(3);
+    history.undo();
+
+    expect(threads.state.threads.length).toBe(1);
+    expect(activeThreadId.get()).toBe(3);
+  });
+
+  it('should block undo while a later change conflicts with the step', () => {
+    const messages = createStore({ items: [] });
+    const history = createHistory([messages]);
+    history.transact(() => {
+      messages.produce((draft) => {
+        draft.items.push({ content: 'hello' });
+      });
+    });
+
+    messages.produce((draft) => {
+      draft.items[0].content = 'edited';
+    });
+
+    expect(history.canUndo.get()).toBe(false);
+    expect(history.undo()).toBe(false);
+    expect(messages.state.items[0].content).toBe('edited');
+
+    messages.produce((draft) => {
+      draft.items[0].content = 'hello';
+    });
+    expect(history.undo()).toBe(true);
+  });
+
+  it('should clear redo once a new transaction is recorded', () => {
+    const count = new Signal.State(0);
+    const history = createHistory([count]);
+
+    history.transact(() => count.set(1));
+    history.undo();
+    history.transact(() => count.set(2));
+
+    expect(history.canRedo.get()).toBe(false);
+    expect(history.redo()).toBe(false);
+  });
+
+  it('should keep at most the configured number of steps', () => {
+    const count = new Signal.State(0);
+    const history = createHistory([count], { limit: 2 });
+
+    [1, 2, 3].forEach((value) => history.transact(() => count.set(value)));
+
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(false);
+    expect(count.get()).toBe(1);
+  });
+
+  it('should expose canUndo and canRedo as reactive signals', () => {
+    const count = new Signal.State(0);
+    const history = createHistory([count]);
+    const spy = vi.fn(() => [history.canUndo.get(), history.canRedo.get()]);
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    history.transact(() => count.set(1));
+    history.undo();
+
+    expect(spy.mock.results.map((result) => result.value)).toEqual([
+      [false, false],
+      [true, false],
+      [false, true],
+    ]);
+    dispose();
+  });
+
+  it('should clear both stacks', () => {
+    const count = new Signal.State(0);
+    const history = createHistory([count]);
+
+    history.transact(() => count.set(1));
+    history.transact(() => count.set(2));
+    history.undo();
+    history.clear();
+
+    expect(history.canUndo.get()).toBe(false);
+    expect(history.canRedo.get()).toBe(false);
+  });
+
+  it('should use the given system', () => {
+    const isolated = createSignalSystem();
+    const count = new isolated.Signal.State(0);
+    const history = createHistory([count], { system: isolated });
+
+    history.transact(() => count.set(1));
+
+    expect(history.canUndo).toBeInstanceOf(isolated.Signal.Computed);
+    expect(history.undo()).toBe(true);
+    expect(count.get()).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+import { defaultSystem, summarizeValue } from './signals_tc39.js';
+
+// Logs what the engine does, one line per hook, with debug names. Recomputes
+// started inside another recompute are indented under it. `events` limits
+// logging to some hooks, e.g. ['onSet', 'onEffectRun']. Returns a function
+// that stops logging.
+function createConsoleLogger(options = {}) {
+  const { system = defaultSystem, log = console.log, events, prefix = '[signals]' } = options;
+  const nameOf = (node) => system.engine.getDebugName(node);
+  let depth = 0;
+
+  const write = (message) => log(`${prefix} ${'  '.repeat(depth)}${message}`);
+
+  const hooks = {
+    onSignalCreate: (node) => write(`create ${system.engine.getNodeKind(node)} ${nameOf(node)}`),
+    onSet: (node, { previous, value }) =>
+      write(`set ${nameOf(node)}: ${summarizeValue(previous)} → ${summarizeValue(value)}`),
+    onComputeStart: (node) => {
+      write(`compute ${nameOf(node)}`);
+      depth++;
+    },
+    onComputeEnd: (node, { changed, error }) => {
+      depth = Math.max(0, depth - 1);
+      if (error !== undefined) {
+        write(`computed ${nameOf(node)}: threw ${summarizeValue(error)}`);
+      } else if (!changed) {
+        write(`computed ${nameOf(node)}: unchanged`);
+      }
+    },
+    onEffectRun: (node) => write(`effect ${nameOf(node)}`),
+    onFlushStart: ({ kind, size }) => write(`flush ${kind} (${size} queued)`),
+    onFlushEnd: ({ kind }) => write(`flush ${kind} done`),
+    onDispose: (node) => write(`dispose ${nameOf(node)}`),
+  };
+
+  const listener = events
+    ? Object.fromEntries(events.map((event) => [event, hooks[event]]))
+    : hooks;
+  return system.instrument(listener);
+}
+
+// Counts recomputes and effect runs per debug name, and times recomputes.
+// Nodes sharing a name share an entry. Time spent in a computed includes the
+// computeds it pulled while running.
+function createProfiler(options = {}) {
+  const { system = defaultSystem, now = () => performance.now() } = options;
+  const entries = new Map();
+  const startedAt = new Map();
+
+  const entryFor = (node) => {
+    const name = system.engine.getDebugName(node);
+    let entry = entries.get(name);
+    if (!entry) {
+      entry = { name, kind: system.engine.getNodeKind(node), runs: 0, totalTime: 0, maxTime: 0 };
+      entries.set(name, entry);
+    }
+    return entry;
+  };
+
+  const stop = system.instrument({
+    onComputeStart: (node) => startedAt.set(node, now()),
+    onComputeEnd: (node) => {
+      const start = startedAt.get(node);
+      startedAt.delete(node);
+
+      const entry = entryFor(node);
+      entry.runs++;
+      if (start !== undefined) {
+        const duration = now() - start;
+        entry.totalTime += duration;
+        entry.maxTime = Math.max(entry.maxTime, duration);
+      }
+    },
+    onEffectRun: (node) => {
+      entryFor(node).runs++;
+    },
+  });
+
+  // Entries by total time, then by runs, each with its average recompute time
+  const getStats = () =>
+    Array.from(entries.values(), (entry) => ({
+      ...entry,
+      averageTime: entry.runs > 0 ? entry.totalTime / entry.runs : 0,
+    })).sort((a, b) => b.totalTime - a.totalTime || b.runs - a.runs);
+
+  return {
+    getStats,
+    print: () => console.table(getStats()),
+    reset: () => {
+      entries.clear();
+      startedAt.clear();
+    },
+    stop,
+  };
+}
+
+export { createConsoleLogger, createProfiler };
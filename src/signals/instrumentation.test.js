@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSignalSystem } from './signals_tc39.js';
+import { createConsoleLogger, createProfiler } from './instrumentation.js';
+
+describe('instrumentation', () => {
+  let system;
+  let Signal;
+
+  beforeEach(() => {
+    system = createSignalSystem();
+    Signal = system.Signal;
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('instrument', () => {
+    it('should call each hook as the engine works', () => {
+      const events = [];
+      const name = (node) => system.engine.getDebugName(node);
+      system.instrument({
+        onSignalCreate: (node) => events.push(`create ${name(node)}`),
+        onSet: (node, { previous, value }) => events.push(`set ${name(node)} ${previous}→${value}`),
+        onComputeStart: (node) => events.push(`start ${name(node)}`),
+        onComputeEnd: (node, { changed }) => events.push(`end ${name(node)} ${changed}`),
+        onEffectRun: (node) => events.push(`run ${name(node)}`),
+        onFlushStart: ({ kind, size }) => events.push(`flush ${kind} ${size}`),
+        onFlushEnd: ({ kind }) => events.push(`flushed ${kind}`),
+        onDispose: (node) => events.push(`dispose ${name(node)}`),
+      });
+
+      const count = new Signal.State(1, { name: 'count' });
+      const parity = new Signal.Computed(() => count.get() % 2, { name: 'parity' });
+      const dispose = system.effect(() => parity.get(), { name: 'log', scheduler: 'sync' });
+      events.length = 0;
+
+      count.set(3);
+      dispose();
+
+      expect(events).toEqual([
+        'set count 1→3',
+        'flush updates 1',
+        'flush effects 1',
+        'start parity',
+        'end parity false',
+        'flushed effects',
+        'flushed updates',
+        'dispose log',
+      ]);
+    });
+
+    it('should report creation with the node kind already known', () => {
+      const kinds = [];
+      system.instrument({
+        onSignalCreate: (node) => kinds.push(system.engine.getNodeKind(node)),
+      });
+
+      system.effect(() => {}, { scheduler: 'sync' });
+      new Signal.subtle.Watcher(() => {});
+
+      expect(kinds).toEqual(['effect', 'watcher']);
+    });
+
+    it('should not track signals read by a hook', () => {
+      const count = new Signal.State(1);
+      const other = new Signal.State('a');
+      system.instrument({ onComputeStart: () => other.get() });
+
+      const doubled = new Signal.Computed(() => count.get() * 2);
+      doubled.get();
+
+      expect(Signal.subtle.introspectSources(doubled)).toEqual([count]);
+    });
+
+    it('should report a throwing hook and keep going', () => {
+      const handler = vi.fn();
+      system.onError(handler);
+      system.instrument({
+        onSet: () => {
+          throw new Error('broken hook');
+        },
+      });
+      const count = new Signal.State(1);
+
+      count.set(2);
+
+      expect(count.get()).toBe(2);
+      expect(handler).toHaveBeenCalledWith(new Error('broken hook'), {
+        phase: 'hook',
+        node: null,
+        name: undefined,
+      });
+    });
+
+    it('should stop calling a listener once detached', () => {
+      const onSet = vi.fn();
+      const detach = system.instrument({ onSet });
+      const count = new Signal.State(1);
+
+      count.set(2);
+      detach();
+      count.set(3);
+
+      expect(onSet).toHaveBeenCalledTimes(1);
+      expect(system.engine.hooks).toBe(null);
+    });
+
+    it('should reject unknown hook names', () => {
+      expect(() => system.instrument({ onRecompute() {} })).toThrow(TypeError);
+    });
+  });
+
+  describe('createConsoleLogger', () => {
+    it('should log activity with debug names, nesting recomputes', () => {
+      const log = vi.fn();
+      const count = new Signal.State(1, { name: 'count' });
+      const doubled = new Signal.Computed(() => count.get() * 2, { name: 'doubled' });
+      const label = new Signal.Computed(() => `${doubled.get()}`, { name: 'label' });
+      const stop = createConsoleLogger({ system, log, events: ['onSet', 'onComputeStart'] });
+
+      count.set(2);
+      label.get();
+      stop();
+      count.set(3);
+
+      expect(log.mock.calls).toEqual([
+        ['[signals] set count: 1 → 2'],
+        ['[signals] compute label'],
+        ['[signals]   compute doubled'],
+      ]);
+    });
+  });
+
+  describe('createProfiler', () => {
+    it('should count and time recomputes and count effect runs per name', () => {
+      let time = 0;
+      const profiler = createProfiler({ system, now: () => time });
+      const count = new Signal.State(1);
+      const slow = new Signal.Computed(
+        () => {
+          time += 5;
+          return count.get() * 2;
+        },
+        { name: 'slow' }
+      );
+      system.effect(() => slow.get(), { name: 'render', scheduler: 'sync' });
+
+      count.set(2);
+      count.set(3);
+
+      expect(profiler.getStats()).toEqual([
+        { name: 'slow', kind: 'computed', runs: 3, totalTime: 15, maxTime: 5, averageTime: 5 },
+        { name: 'render', kind: 'effect', runs: 3, totalTime: 0, maxTime: 0, averageTime: 0 },
+      ]);
+
+      profiler.reset();
+      profiler.stop();
+      count.set(4);
+      expect(profiler.getStats()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { defaultSystem } from './signals_tc39.js';
+
+// Writable derived signal. Its value is `computation(source())` until `set()`
+// overrides it; the override lasts until `source()` produces a different value,
+// at which point the signal derives from the source again. Signals read by
+// `computation` are dependencies too, but only a source change drops an override.
+function linkedSignal(source, options = {}) {
+  const { computation = (value) => value, name = 'linkedSignal', system = defaultSystem } = options;
+  const { Signal } = system;
+
+  const override = new Signal.State(null, { name: `${name}.override` });
+  let hasSource = false;
+  let lastSource;
+  // Replaced whenever the source value changes; an override only applies to
+  // the generation it was set in
+  let generation = {};
+
+  const linked = new Signal.Computed(
+    () => {
+      const sourceValue = source();
+      if (!hasSource || sourceValue !== lastSource) {
+        hasSource = true;
+        lastSource = sourceValue;
+        generation = {};
+      }
+
+      const local = override.get();
+      if (local && local.generation === generation) {
+        return local.value;
+      }
+      return computation(sourceValue);
+    },
+    { name }
+  );
+
+  linked.set = (value) => {
+    // Settle first so the override is stamped with the current source generation
+    Signal.subtle.untrack(() => linked.get());
+    override.set({ value, generation });
+  };
+
+  linked.reset = () => {
+    override.set(null);
+  };
+
+  return linked;
+}
+
+export { linkedSignal };
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Signal, effect, createSignalSystem } from './signals_tc39.js';
+import { linkedSignal } from './linkedSignal.js';
+
+describe('linkedSignal', () => {
+  it('should derive its value from the source', () => {
+    const threadId = new Signal.State(1);
+    const draft = linkedSignal(() => threadId.get(), { computation: (id) => `thread ${id}` });
+
+    expect(draft.get()).toBe('thread 1');
+    threadId.set(2);
+    expect(draft.get()).toBe('thread 2');
+  });
+
+  it('should default computation to the source value', () => {
+    const source = new Signal.State('a');
+    const linked = linkedSignal(() => source.get());
+
+    expect(linked.get()).toBe('a');
+  });
+
+  it('should keep a local override until the source changes', () => {
+    const threadId = new Signal.State(1);
+    const draft = linkedSignal(() => threadId.get(), { computation: (id) => `thread ${id}` });
+
+    draft.set('edited');
+    expect(draft.get()).toBe('edited');
+
+    threadId.set(1);
+    expect(draft.get()).toBe('edited');
+
+    threadId.set(2);
+    expect(draft.get()).toBe('thread 2');
+  });
+
+  it('should not drop an override when only other computation dependencies change', () => {
+    const threadId = new Signal.State(1);
+    const saved = new Signal.State('Morning!');
+    const draft = linkedSignal(() => threadId.get(), { computation: () => saved.get() });
+
+    draft.set('edited');
+    saved.set('Updated elsewhere');
+
+    expect(draft.get()).toBe('edited');
+  });
+
+  it('should follow computation dependencies while not overridden', () => {
+    const threadId = new Signal.State(1);
+    const saved = new Signal.State('Morning!');
+    const draft = linkedSignal(() => threadId.get(), { computation: () => saved.get() });
+
+    saved.set('Updated elsewhere');
+
+    expect(draft.get()).toBe('Updated elsewhere');
+  });
+
+  it('should apply an override set after an unread source change to the new source', () => {
+    const threadId = new Signal.State(1);
+    const draft = linkedSignal(() => threadId.get());
+    draft.get();
+
+    threadId.set(2);
+    draft.set('for thread 2');
+
+    expect(draft.get()).toBe('for thread 2');
+  });
+
+  it('should drop the override on reset', () => {
+    const saved = new Signal.State('Morning!');
+    const draft = linkedSignal(() => saved.get());
+
+    draft.set('edited');
+    draft.reset();
+
+    expect(draft.get()).toBe('Morning!');
+  });
+
+  it('should notify dependents of overrides and resets', () => {
+    const threadId = new Signal.State(1);
+    const draft = linkedSignal(() => threadId.get(), { computation: (id) => `thread ${id}` });
+    const spy = vi.fn(() => draft.get());
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    draft.set('edited');
+    threadId.set(2);
+
+    expect(spy.mock.results.map((result) => result.value)).toEqual([
+      'thread 1',
+      'edited',
+      'thread 2',
+    ]);
+    dispose();
+  });
+
+  it('should be a computed signal of the given system', () => {
+    const isolated = createSignalSystem();
+    const source = new isolated.Signal.State(1);
+    const linked = linkedSignal(() => source.get(), { system: isolated, name: 'draft' });
+
+    expect(linked).toBeInstanceOf(isolated.Signal.Computed);
+    expect(isolated.engine.getDebugName(linked)).toBe('draft');
+  });
+});
@@ -0,0 +1,269 @@
+import { defaultSystem } from './signals_tc39.js';
+
+// Symbol.observable when a polyfill or library defined it, otherwise the
+// '@@observable' key that RxJS and other libraries also look for
+const observableSymbol = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+function toSubscribable(input) {
+  const observable =
+    input && typeof input[observableSymbol] === 'function' ? input[observableSymbol]() : input;
+  if (!observable || typeof observable.subscribe !== 'function') {
+    throw new TypeError('Expected an Observable or an object with a subscribe() method');
+  }
+  return observable;
+}
+
+function toObserver(observerOrNext, error, complete) {
+  if (typeof observerOrNext === 'function') {
+    return { next: observerOrNext, error, complete };
+  }
+  return observerOrNext || {};
+}
+
+// Calls onValue with the signal's current value, then with every new value,
+// until the returned stop() is called. A Watcher is notified that the signal
+// may have changed; reading it there settles the signal and re-arms the
+// notification. A throwing read goes to onError, and watching goes on.
+function watchValues(signal, { system, name, onValue, onError }) {
+  const { Signal } = system;
+  let hasValue = false;
+  let lastValue;
+  let stopped = false;
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    watcher.unwatch(signal);
+  };
+
+  const read = () => {
+    if (stopped) return;
+
+    let value;
+    try {
+      value = Signal.subtle.untrack(() => signal.get());
+    } catch (err) {
+      hasValue = false;
+      onError(err);
+      return;
+    }
+
+    // Notifications only mean the signal may have changed
+    if (hasValue && Object.is(value, lastValue)) return;
+    hasValue = true;
+    lastValue = value;
+    onValue(value);
+  };
+
+  const watcher = new Signal.subtle.Watcher(read, { name });
+  watcher.watch(signal);
+  read();
+  return stop;
+}
+
+// Signal holding the latest value of an Observable (anything with
+// [Symbol.observable]() or subscribe()). It subscribes when first watched and
+// unsubscribes once unwatched, so nothing is received while nobody observes
+// it; it keeps the last value in between. Reading it rethrows the error the
+// Observable ended with. After completing or failing it never resubscribes.
+function fromObservable(input, options = {}) {
+  const { initialValue, name = 'fromObservable', system = defaultSystem } = options;
+  const { Signal } = system;
+  const observable = toSubscribable(input);
+
+  let subscription = null;
+  let finished = false;
+
+  const unsubscribe = () => {
+    const current = subscription;
+    subscription = null;
+    if (typeof current === 'function') {
+      current();
+    } else if (current) {
+      current.unsubscribe();
+    }
+  };
+
+  // Called by the observable, possibly before subscribe() has returned
+  const finish = () => {
+    finished = true;
+    unsubscribe();
+  };
+
+  const errorState = new Signal.State(null, { name: `${name}.error` });
+  const valueState = new Signal.State(initialValue, {
+    name: `${name}.value`,
+    [Signal.subtle.watched]() {
+      if (finished || subscription) return;
+
+      subscription = observable.subscribe({
+        next: (value) => {
+          if (!finished) valueState.set(value);
+        },
+        error: (error) => {
+          if (finished) return;
+          errorState.set({ error });
+          finish();
+        },
+        complete: () => finish(),
+      });
+      if (finished) unsubscribe();
+    },
+    [Signal.subtle.unwatched]: unsubscribe,
+  });
+
+  return new Signal.Computed(
+    () => {
+      const failure = errorState.get();
+      if (failure) throw failure.error;
+      return valueState.get();
+    },
+    { name }
+  );
+}
+
+// Observable of a signal's values: every subscriber receives the current value
+// right away and then each new one. The signal is watched through a
+// Signal.subtle.Watcher until unsubscribe(), so values arrive when watcher
+// notifications are flushed. An error thrown by the signal ends the stream.
+function toObservable(signal, options = {}) {
+  const { name = 'toObservable', system = defaultSystem } = options;
+
+  const observable = {
+    subscribe(observerOrNext, error, complete) {
+      const observer = toObserver(observerOrNext, error, complete);
+      let stop = null;
+      const subscription = {
+        closed: false,
+        unsubscribe() {
+          if (subscription.closed) return;
+          subscription.closed = true;
+          stop?.();
+        },
+      };
+
+      stop = watchValues(signal, {
+        system,
+        name,
+        onValue: (value) => observer.next?.(value),
+        onError: (err) => {
+          subscription.unsubscribe();
+          if (observer.error) {
+            observer.error(err);
+          } else {
+            console.error(`Error in ${name}:`, err);
+          }
+        },
+      });
+      // The observer may have unsubscribed while receiving the first value
+      if (subscription.closed) stop();
+      return subscription;
+    },
+
+    [observableSymbol]() {
+      return observable;
+    },
+  };
+
+  return observable;
+}
+
+// Signal holding the last event of `type` dispatched on `target`, listening
+// only while the signal is watched (see fromObservable)
+function fromEvent(target, type, options = {}) {
+  const { listenerOptions, name = `fromEvent(${type})`, ...rest } = options;
+
+  return fromObservable(
+    {
+      subscribe(observer) {
+        const listener = (event) => observer.next(event);
+        target.addEventListener(type, listener, listenerOptions);
+        return () => target.removeEventListener(type, listener, listenerOptions);
+      },
+    },
+    { ...rest, name }
+  );
+}
+
+// Async iterator over a signal's values, starting with the current one:
+//   for await (const snapshot of signalValues(threads)) { ... }
+// Values are not queued: a consumer that falls behind gets the latest value
+// next, not every value in between. Watching starts with the first next()
+// and stops when the loop exits (return()) or the signal throws.
+function signalValues(signal, options = {}) {
+  const { name = 'signalValues', system = defaultSystem } = options;
+  let stop = null;
+  let done = false;
+  let pending = null; // { value } or { error } not yet taken
+  let waiting = null; // { resolve, reject } of a next() call awaiting a value
+
+  const settle = (result) => {
+    if (!waiting) {
+      pending = result;
+      return;
+    }
+    const { resolve, reject } = waiting;
+    waiting = null;
+    if ('error' in result) {
+      reject(result.error);
+    } else {
+      resolve({ value: result.value, done: false });
+    }
+  };
+
+  const finish = () => {
+    done = true;
+    stop?.();
+    if (waiting) {
+      waiting.resolve({ value: undefined, done: true });
+      waiting = null;
+    }
+  };
+
+  const iterator = {
+    next() {
+      if (!stop && !done) {
+        stop = watchValues(signal, {
+          system,
+          name,
+          onValue: (value) => settle({ value }),
+          onError: (error) => {
+            done = true;
+            stop?.();
+            settle({ error });
+          },
+        });
+        // The first read may already have failed
+        if (done) stop();
+      }
+
+      if (pending) {
+        const result = pending;
+        pending = null;
+        return 'error' in result
+          ? Promise.reject(result.error)
+          : Promise.resolve({ value: result.value, done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+      });
+    },
+
+    return(value) {
+      finish();
+      pending = null;
+      return Promise.resolve({ value, done: true });
+    },
+
+    [Symbol.asyncIterator]() {
+      return iterator;
+    },
+  };
+
+  return iterator;
+}
+
+export { fromObservable, toObservable, fromEvent, signalValues, watchValues, observableSymbol };
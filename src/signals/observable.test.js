@@ -0,0 +1,301 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSignalSystem } from './signals_tc39.js';
+import { createStore } from './store.js';
+import {
+  fromObservable,
+  toObservable,
+  fromEvent,
+  signalValues,
+  observableSymbol,
+} from './observable.js';
+
+// Minimal push source: emit() calls every subscribed observer
+function createSubject() {
+  const observers = new Set();
+  const teardown = vi.fn();
+
+  return {
+    teardown,
+    get size() {
+      return observers.size;
+    },
+    emit: (value) => observers.forEach((observer) => observer.next(value)),
+    fail: (error) => observers.forEach((observer) => observer.error(error)),
+    complete: () => observers.forEach((observer) => observer.complete()),
+    subscribe(observer) {
+      observers.add(observer);
+      return {
+        unsubscribe: () => {
+          observers.delete(observer);
+          teardown();
+        },
+      };
+    },
+  };
+}
+
+describe('observable interop', () => {
+  let system;
+
+  beforeEach(() => {
+    system = createSignalSystem();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('fromObservable', () => {
+    it('should follow the observable only while watched', () => {
+      const subject = createSubject();
+      const latest = fromObservable(subject, { initialValue: 'none', system });
+      expect(subject.size).toBe(0);
+
+      const seen = [];
+      const dispose = system.effect(() => seen.push(latest.get()), { scheduler: 'sync' });
+      expect(subject.size).toBe(1);
+
+      subject.emit('hello');
+      subject.emit('world');
+      dispose();
+
+      expect(seen).toEqual(['none', 'hello', 'world']);
+      expect(subject.size).toBe(0);
+      expect(latest.get()).toBe('world');
+    });
+
+    it('should subscribe through Symbol.observable', () => {
+      const subject = createSubject();
+      const interop = { [observableSymbol]: () => subject };
+      const latest = fromObservable(interop, { system });
+      const dispose = system.effect(() => latest.get(), { scheduler: 'sync' });
+
+      subject.emit(1);
+
+      expect(latest.get()).toBe(1);
+      dispose();
+    });
+
+    it('should see values the observable emits while subscribing', () => {
+      const replay = {
+        subscribe(observer) {
+          observer.next('current');
+          return () => {};
+        },
+      };
+      const latest = fromObservable(replay, { initialValue: 'none', system });
+      const doubled = new system.Signal.Computed(() => `${latest.get()}!`);
+      const seen = [];
+
+      const dispose = system.effect(() => seen.push(doubled.get()), { scheduler: 'sync' });
+
+      expect(seen).toEqual(['none!', 'current!']);
+      dispose();
+    });
+
+    it('should rethrow the error the observable ended with and unsubscribe', () => {
+      const subject = createSubject();
+      const latest = fromObservable(subject, { system });
+      const dispose = system.effect(() => latest.get(), { scheduler: 'sync' });
+
+      subject.fail(new Error('socket closed'));
+
+      expect(() => latest.get()).toThrow('socket closed');
+      expect(subject.teardown).toHaveBeenCalledTimes(1);
+      dispose();
+    });
+
+    it('should keep the last value and unsubscribe on completion', () => {
+      const subject = createSubject();
+      const latest = fromObservable(subject, { system });
+      const dispose = system.effect(() => latest.get(), { scheduler: 'sync' });
+
+      subject.emit('last');
+      subject.complete();
+      dispose();
+      system.effect(() => latest.get(), { scheduler: 'sync' });
+
+      expect(latest.get()).toBe('last');
+      expect(subject.teardown).toHaveBeenCalledTimes(1);
+      expect(subject.size).toBe(0);
+    });
+
+    it('should reject inputs that cannot be subscribed to', () => {
+      expect(() => fromObservable({}, { system })).toThrow(TypeError);
+    });
+  });
+
+  describe('fromEvent', () => {
+    it('should hold the last event and listen only while watched', () => {
+      const target = new EventTarget();
+      const addSpy = vi.spyOn(target, 'addEventListener');
+      const removeSpy = vi.spyOn(target, 'removeEventListener');
+      const message = fromEvent(target, 'message', { system });
+      const data = new system.Signal.Computed(() => message.get()?.detail);
+      expect(addSpy).not.toHaveBeenCalled();
+
+      const dispose = system.effect(() => data.get(), { scheduler: 'sync' });
+      target.dispatchEvent(new CustomEvent('message', { detail: 'hi' }));
+
+      expect(data.get()).toBe('hi');
+      dispose();
+      expect(removeSpy).toHaveBeenCalledWith('message', expect.any(Function), undefined);
+    });
+  });
+
+  describe('toObservable', () => {
+    it('should emit the current value and every change until unsubscribed', () => {
+      const count = new system.Signal.State(1);
+      const doubled = new system.Signal.Computed(() => count.get() * 2);
+      const next = vi.fn();
+
+      const subscription = toObservable(doubled, { system }).subscribe(next);
+      count.set(2);
+      system.flushSync();
+      count.set(3);
+      system.flushSync();
+      subscription.unsubscribe();
+      count.set(4);
+      system.flushSync();
+
+      expect(next.mock.calls).toEqual([[2], [4], [6]]);
+      expect(subscription.closed).toBe(true);
+      expect(system.Signal.subtle.hasSinks(doubled)).toBe(false);
+    });
+
+    it('should not emit when a notification leaves the value unchanged', () => {
+      const count = new system.Signal.State(1);
+      const isEven = new system.Signal.Computed(() => count.get() % 2 === 0);
+      const next = vi.fn();
+
+      toObservable(isEven, { system }).subscribe({ next });
+      count.set(3);
+      system.flushSync();
+
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should end the stream with the error a signal throws', () => {
+      const count = new system.Signal.State(1);
+      const checked = new system.Signal.Computed(() => {
+        if (count.get() < 0) throw new Error('negative');
+        return count.get();
+      });
+      const observer = { next: vi.fn(), error: vi.fn() };
+
+      const subscription = toObservable(checked, { system }).subscribe(observer);
+      count.set(-1);
+      system.flushSync();
+
+      expect(observer.error).toHaveBeenCalledWith(new Error('negative'));
+      expect(subscription.closed).toBe(true);
+      expect(system.Signal.subtle.hasSinks(checked)).toBe(false);
+    });
+
+    it('should be accepted by libraries that look up Symbol.observable', () => {
+      const count = new system.Signal.State(1);
+      const observable = toObservable(count, { system });
+
+      const mirrored = fromObservable(observable, { system });
+      const dispose = system.effect(() => mirrored.get(), { scheduler: 'sync' });
+      count.set(5);
+      system.flushSync();
+
+      expect(observable[observableSymbol]()).toBe(observable);
+      expect(mirrored.get()).toBe(5);
+      dispose();
+      expect(system.Signal.subtle.hasSinks(count)).toBe(false);
+    });
+
+    it('should stop watching when the observer unsubscribes while receiving a value', () => {
+      const count = new system.Signal.State(1);
+      let subscription = null;
+      const next = vi.fn((value) => {
+        if (value === 2) subscription.unsubscribe();
+      });
+
+      subscription = toObservable(count, { system }).subscribe(next);
+      count.set(2);
+      system.flushSync();
+      count.set(3);
+      system.flushSync();
+
+      expect(next.mock.calls).toEqual([[1], [2]]);
+      expect(system.Signal.subtle.hasSinks(count)).toBe(false);
+    });
+  });
+
+  describe('signalValues', () => {
+    it('should iterate the successive values of a store and unwatch on break', async () => {
+      const store = createStore({ threads: [] }, { system });
+      const threads = new system.Signal.Computed(() => store.state.threads.length);
+      const seen = [];
+
+      const loop = (async () => {
+        for await (const count of signalValues(threads, { system })) {
+          seen.push(count);
+          if (count === 2) break;
+        }
+      })();
+
+      await Promise.resolve();
+      store.produce((draft) => {
+        draft.threads.push({ id: 1 });
+      });
+      system.flushSync();
+      await Promise.resolve();
+      store.produce((draft) => {
+        draft.threads.push({ id: 2 });
+      });
+      system.flushSync();
+      await loop;
+
+      expect(seen).toEqual([0, 1, 2]);
+      expect(system.Signal.subtle.hasSinks(threads)).toBe(false);
+    });
+
+    it('should skip to the latest value when the consumer falls behind', async () => {
+      const count = new system.Signal.State(0);
+      const values = signalValues(count, { system });
+
+      expect(await values.next()).toEqual({ value: 0, done: false });
+      count.set(1);
+      system.flushSync();
+      count.set(2);
+      system.flushSync();
+
+      expect(await values.next()).toEqual({ value: 2, done: false });
+      expect(await values.return()).toEqual({ value: undefined, done: true });
+      expect(await values.next()).toEqual({ value: undefined, done: true });
+    });
+
+    it('should end a pending next() when return() is called', async () => {
+      const count = new system.Signal.State(0);
+      const values = signalValues(count, { system });
+      await values.next();
+
+      const pending = values.next();
+      await values.return();
+
+      expect(await pending).toEqual({ value: undefined, done: true });
+      expect(system.Signal.subtle.hasSinks(count)).toBe(false);
+    });
+
+    it('should reject with the error the signal throws, then finish', async () => {
+      const count = new system.Signal.State(1);
+      const checked = new system.Signal.Computed(() => {
+        if (count.get() < 0) throw new Error('negative');
+        return count.get();
+      });
+      const values = signalValues(checked, { system });
+      await values.next();
+
+      count.set(-1);
+      system.flushSync();
+
+      await expect(values.next()).rejects.toThrow('negative');
+      expect(await values.next()).toEqual({ value: undefined, done: true });
+    });
+  });
+});
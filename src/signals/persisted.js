@@ -0,0 +1,260 @@
+import { defaultSystem } from './signals_tc39.js';
+import { toTarget } from './store.js';
+
+// Storage adapters hold `{ version, value }` records by key. `read` returns the
+// record (or null), `write` stores one; either may return a promise.
+
+// localStorage, as JSON. Without a usable localStorage (tests, private mode)
+// nothing is read and writes are dropped.
+function localStorageAdapter(storage) {
+  const resolve = () => {
+    if (storage) return storage;
+    try {
+      return globalThis.localStorage ?? null;
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    read(key) {
+      const text = resolve()?.getItem(key);
+      return text == null ? null : JSON.parse(text);
+    },
+
+    write(key, record) {
+      resolve()?.setItem(key, JSON.stringify(record));
+    },
+  };
+}
+
+// IndexedDB, as structured clones in a single object store. Adapters may share
+// a database: one whose store is missing upgrades it to the next version, and
+// the others close their connection so the upgrade isn't blocked and reopen on
+// their next call. A failed open is retried on the next call too.
+function indexedDBAdapter(options = {}) {
+  const { database = 'signals', storeName = 'records', indexedDB = globalThis.indexedDB } = options;
+  let opening = null;
+
+  const connect = (version) =>
+    new Promise((resolve, reject) => {
+      const request = version ? indexedDB.open(database, version) : indexedDB.open(database);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+  const open = () => {
+    opening ??= connect()
+      .then((db) => {
+        if (db.objectStoreNames.contains(storeName)) return db;
+        db.close();
+        return connect(db.version + 1);
+      })
+      .then(
+        (db) => {
+          db.onversionchange = () => {
+            db.close();
+            opening = null;
+          };
+          return db;
+        },
+        (error) => {
+          opening = null;
+          throw error;
+        }
+      );
+    return opening;
+  };
+
+  const run = (mode, operation) =>
+    open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, mode);
+          const request = operation(tx.objectStore(storeName));
+          tx.oncomplete = () => resolve(request.result);
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        })
+    );
+
+  return {
+    read: (key) => run('readonly', (store) => store.get(key)).then((record) => record ?? null),
+    write: (key, record) => run('readwrite', (store) => store.put(record, key)),
+  };
+}
+
+function isThenable(value) {
+  return value !== null && typeof value?.then === 'function';
+}
+
+// Upgrades a stored record to `version`; migrations[n] turns a version n - 1
+// value into a version n value
+function migrate(record, version, migrations) {
+  if (record === null || typeof record !== 'object' || !('value' in record)) {
+    throw new TypeError('Stored record has no value');
+  }
+
+  const from = record.version ?? 1;
+  if (from > version) {
+    throw new Error(`Stored version ${from} is newer than ${version}`);
+  }
+
+  let value = record.value;
+  for (let next = from + 1; next <= version; next++) {
+    if (typeof migrations[next] !== 'function') {
+      throw new Error(`No migration to version ${next}`);
+    }
+    value = migrations[next](value);
+  }
+  return value;
+}
+
+// Binds a signal or store to a storage key: hydrates it from storage now
+// (before returning for synchronous storage, later for asynchronous storage),
+// then writes it back a debounced interval after every change. Storage,
+// parse and migration errors are reported on `error` and never thrown, so a
+// broken entry only means starting from the initial value.
+function persist(source, options = {}) {
+  const {
+    key,
+    storage = localStorageAdapter(),
+    version = 1,
+    migrations = {},
+    debounce = 250,
+    name = `persist(${key})`,
+    system = defaultSystem,
+  } = options;
+  const { Signal, batch, effect } = system;
+
+  if (typeof key !== 'string') {
+    throw new TypeError('persist expects a storage key');
+  }
+
+  const target = toTarget(source);
+  const loadingState = new Signal.State(true, { name: `${name}.loading` });
+  const errorState = new Signal.State(undefined, { name: `${name}.error` });
+  let lastWritten;
+  let timer = null;
+  let stopWriting = null;
+  let disposed = false;
+
+  function report(phase, err) {
+    console.error(`Error in ${name} ${phase}:`, err);
+    errorState.set(err);
+  }
+
+  function write() {
+    clearTimeout(timer);
+    timer = null;
+
+    const value = Signal.subtle.untrack(target.read);
+    if (value === lastWritten) return;
+    lastWritten = value;
+
+    try {
+      const result = storage.write(key, { version, value });
+      if (isThenable(result)) {
+        result.catch((err) => report('write', err));
+      }
+    } catch (err) {
+      report('write', err);
+    }
+  }
+
+  function startWriting() {
+    stopWriting = effect(
+      () => {
+        if (target.read() === lastWritten) return;
+        clearTimeout(timer);
+        timer = setTimeout(write, debounce);
+      },
+      { name: `${name}.writeBack`, scheduler: 'sync' }
+    );
+  }
+
+  // A value changed locally while an asynchronous read was in flight is newer
+  // than the stored one, so it is kept (and written back)
+  function hydrate(record, initialValue) {
+    if (disposed) return;
+
+    batch(() => {
+      if (record !== null && Signal.subtle.untrack(target.read) === initialValue) {
+        try {
+          const value = migrate(record, version, migrations);
+          Signal.subtle.untrack(() => target.write(value));
+          // Migrated records are written back in the current format
+          if ((record.version ?? 1) === version) {
+            lastWritten = Signal.subtle.untrack(target.read);
+          }
+        } catch (err) {
+          report('hydrate', err);
+        }
+      }
+      loadingState.set(false);
+    });
+    startWriting();
+  }
+
+  const initialValue = Signal.subtle.untrack(target.read);
+  let ready;
+  try {
+    const record = storage.read(key);
+    if (isThenable(record)) {
+      ready = record.then(
+        (stored) => hydrate(stored, initialValue),
+        (err) => {
+          report('read', err);
+          hydrate(null, initialValue);
+        }
+      );
+    } else {
+      hydrate(record, initialValue);
+      ready = Promise.resolve();
+    }
+  } catch (err) {
+    report('read', err);
+    hydrate(null, initialValue);
+    ready = Promise.resolve();
+  }
+
+  // Pending writes are flushed when the page goes away
+  const onPageHide = () => flush();
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', onPageHide);
+  }
+
+  function flush() {
+    if (timer !== null) write();
+  }
+
+  return {
+    loading: new Signal.Computed(() => loadingState.get()),
+    error: new Signal.Computed(() => errorState.get()),
+
+    // Resolves once hydration has finished, successfully or not
+    ready,
+
+    // Writes a pending change now instead of after the debounce interval
+    flush,
+
+    // Writes a pending change, then stops writing
+    dispose() {
+      flush();
+      disposed = true;
+      clearTimeout(timer);
+      timer = null;
+      stopWriting?.();
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', onPageHide);
+      }
+    },
+  };
+}
+
+export { persist, localStorageAdapter, indexedDBAdapter };
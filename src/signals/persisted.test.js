@@ -0,0 +1,325 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Signal, createSignalSystem } from './signals_tc39.js';
+import { createStore } from './store.js';
+import { persist, localStorageAdapter, indexedDBAdapter } from './persisted.js';
+
+function createMemoryStorage(entries = {}) {
+  const data = new Map(Object.entries(entries));
+  return {
+    data,
+    getItem: (key) => data.get(key) ?? null,
+    setItem: vi.fn((key, value) => {
+      data.set(key, String(value));
+    }),
+  };
+}
+
+const record = (value, version = 1) => JSON.stringify({ version, value });
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+// Just enough of indexedDB for the adapter: versioned databases, object
+// stores and get/put, with every callback delivered asynchronously
+function createFakeIndexedDB() {
+  const databases = new Map();
+  const later = (callback) => Promise.resolve().then(callback);
+  let failures = 0;
+
+  const connect = (stored) => {
+    const db = {
+      version: stored.version,
+      objectStoreNames: { contains: (name) => stored.stores.has(name) },
+      createObjectStore: (name) => stored.stores.set(name, new Map()),
+      close: () => stored.connections.delete(db),
+      transaction(name) {
+        const records = stored.stores.get(name);
+        if (!records) throw new Error(`No object store named ${name}`);
+        const tx = {
+          objectStore: () => ({
+            get: (key) => ({ result: records.get(key) }),
+            put: (value, key) => {
+              records.set(key, structuredClone(value));
+              return { result: key };
+            },
+          }),
+        };
+        later(() => tx.oncomplete());
+        return tx;
+      },
+    };
+    stored.connections.add(db);
+    return db;
+  };
+
+  return {
+    failNextOpen: () => failures++,
+    open: vi.fn((name, version) => {
+      const request = {};
+      later(() => {
+        if (failures > 0) {
+          failures--;
+          request.error = new Error('Open failed');
+          return request.onerror();
+        }
+        const stored = databases.get(name) ?? {
+          version: 0,
+          stores: new Map(),
+          connections: new Set(),
+        };
+        databases.set(name, stored);
+        const target = version ?? Math.max(stored.version, 1);
+        if (target > stored.version) {
+          stored.connections.forEach((db) => db.onversionchange?.());
+          stored.version = target;
+          request.result = connect(stored);
+          request.onupgradeneeded();
+        } else {
+          request.result = connect(stored);
+        }
+        request.onsuccess();
+      });
+      return request;
+    }),
+  };
+}
+
+describe('indexedDBAdapter', () => {
+  it('should read back the records it wrote', async () => {
+    const storage = indexedDBAdapter({ database: 'chat', indexedDB: createFakeIndexedDB() });
+
+    await storage.write('drafts', { version: 1, value: { 1: 'hello' } });
+
+    expect(await storage.read('drafts')).toEqual({ version: 1, value: { 1: 'hello' } });
+    expect(await storage.read('missing')).toBeNull();
+  });
+
+  it('should add its object store to a database that lacks it', async () => {
+    const indexedDB = createFakeIndexedDB();
+    const drafts = indexedDBAdapter({ database: 'chat', storeName: 'drafts', indexedDB });
+    const threads = indexedDBAdapter({ database: 'chat', storeName: 'threads', indexedDB });
+
+    await drafts.write('draft', { version: 1, value: 'hello' });
+    await threads.write('threads', { version: 1, value: [] });
+
+    expect(indexedDB.open).toHaveBeenLastCalledWith('chat', 2);
+    expect(await drafts.read('draft')).toEqual({ version: 1, value: 'hello' });
+    expect(await threads.read('threads')).toEqual({ version: 1, value: [] });
+  });
+
+  it('should open again after a failed open', async () => {
+    const indexedDB = createFakeIndexedDB();
+    const storage = indexedDBAdapter({ indexedDB });
+
+    indexedDB.failNextOpen();
+    await expect(storage.read('drafts')).rejects.toThrow('Open failed');
+
+    expect(await storage.read('drafts')).toBeNull();
+  });
+});
+
+describe('persist', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should hydrate synchronously from localStorage', () => {
+    const storage = createMemoryStorage({ theme: record('dark') });
+    const theme = new Signal.State('light');
+
+    const persisted = persist(theme, { key: 'theme', storage: localStorageAdapter(storage) });
+
+    expect(theme.get()).toBe('dark');
+    expect(persisted.loading.get()).toBe(false);
+    expect(storage.setItem).not.toHaveBeenCalled();
+    persisted.dispose();
+  });
+
+  it('should write changes back once they settle', () => {
+    const storage = createMemoryStorage();
+    const count = new Signal.State(0);
+    const persisted = persist(count, {
+      key: 'count',
+      storage: localStorageAdapter(storage),
+      debounce: 100,
+    });
+    vi.advanceTimersByTime(100);
+    storage.setItem.mockClear();
+
+    count.set(1);
+    vi.advanceTimersByTime(50);
+    count.set(2);
+    vi.advanceTimersByTime(99);
+    expect(storage.setItem).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(storage.data.get('count'))).toEqual({ version: 1, value: 2 });
+    persisted.dispose();
+  });
+
+  it('should write a pending change immediately on flush', () => {
+    const storage = createMemoryStorage({ count: record(1) });
+    const count = new Signal.State(0);
+    const persisted = persist(count, { key: 'count', storage: localStorageAdapter(storage) });
+
+    count.set(5);
+    persisted.flush();
+
+    expect(JSON.parse(storage.data.get('count')).value).toBe(5);
+    persisted.dispose();
+  });
+
+  it('should migrate records stored by older versions', () => {
+    const storage = createMemoryStorage({ drafts: record('hello') });
+    const drafts = new Signal.State({});
+
+    const persisted = persist(drafts, {
+      key: 'drafts',
+      storage: localStorageAdapter(storage),
+      version: 3,
+      migrations: {
+        2: (draft) => ({ 1: draft }),
+        3: (byThread) => ({ byThread }),
+      },
+    });
+
+    expect(drafts.get()).toEqual({ byThread: { 1: 'hello' } });
+    vi.runAllTimers();
+    expect(JSON.parse(storage.data.get('drafts')).version).toBe(3);
+    persisted.dispose();
+  });
+
+  it('should keep the initial value when the stored entry cannot be used', () => {
+    const storage = createMemoryStorage({ broken: '{not json', future: record('x', 9) });
+    const broken = new Signal.State('initial');
+    const future = new Signal.State('initial');
+
+    const first = persist(broken, { key: 'broken', storage: localStorageAdapter(storage) });
+    const second = persist(future, { key: 'future', storage: localStorageAdapter(storage) });
+
+    expect(broken.get()).toBe('initial');
+    expect(first.error.get()).toBeInstanceOf(SyntaxError);
+    expect(future.get()).toBe('initial');
+    expect(second.error.get().message).toBe('Stored version 9 is newer than 1');
+    first.dispose();
+    second.dispose();
+  });
+
+  it('should report failed writes without throwing', () => {
+    const storage = createMemoryStorage();
+    const quotaError = new Error('The quota has been exceeded');
+    storage.setItem.mockImplementation(() => {
+      throw quotaError;
+    });
+    const count = new Signal.State(0);
+    const persisted = persist(count, { key: 'count', storage: localStorageAdapter(storage) });
+
+    count.set(1);
+    expect(() => vi.runAllTimers()).not.toThrow();
+
+    expect(persisted.error.get()).toBe(quotaError);
+    expect(count.get()).toBe(1);
+    persisted.dispose();
+  });
+
+  it('should expose loading while asynchronous storage is read', async () => {
+    const read = deferred();
+    const storage = { read: () => read.promise, write: vi.fn(async () => {}) };
+    const threads = new Signal.State([]);
+
+    const persisted = persist(threads, { key: 'threads', storage });
+    expect(persisted.loading.get()).toBe(true);
+    expect(threads.get()).toEqual([]);
+
+    read.resolve({ version: 1, value: [{ id: 1 }] });
+    await persisted.ready;
+
+    expect(persisted.loading.get()).toBe(false);
+    expect(threads.get()).toEqual([{ id: 1 }]);
+    vi.runAllTimers();
+    expect(storage.write).not.toHaveBeenCalled();
+    persisted.dispose();
+  });
+
+  it('should keep changes made while asynchronous storage was read', async () => {
+    const read = deferred();
+    const storage = { read: () => read.promise, write: vi.fn(async () => {}) };
+    const threads = new Signal.State([]);
+    const persisted = persist(threads, { key: 'threads', storage });
+
+    threads.set([{ id: 2 }]);
+    read.resolve({ version: 1, value: [{ id: 1 }] });
+    await persisted.ready;
+    vi.runAllTimers();
+
+    expect(threads.get()).toEqual([{ id: 2 }]);
+    expect(storage.write).toHaveBeenCalledWith('threads', { version: 1, value: [{ id: 2 }] });
+    persisted.dispose();
+  });
+
+  it('should report rejected asynchronous reads and writes', async () => {
+    const failure = new Error('Database closed');
+    const storage = { read: async () => null, write: () => Promise.reject(failure) };
+    const count = new Signal.State(0);
+    const persisted = persist(count, { key: 'count', storage });
+    await persisted.ready;
+
+    count.set(1);
+    vi.runAllTimers();
+    await Promise.resolve();
+
+    expect(persisted.error.get()).toBe(failure);
+    persisted.dispose();
+  });
+
+  it('should persist a store as snapshots', () => {
+    const storage = createMemoryStorage({
+      threads: record({ threads: [{ id: 1, name: 'Saved', messages: [] }] }),
+    });
+    const store = createStore({ threads: [] });
+    const persisted = persist(store, { key: 'threads', storage: localStorageAdapter(storage) });
+
+    expect(store.state.threads[0].name).toBe('Saved');
+
+    store.produce((draft) => {
+      draft.threads[0].name = 'Renamed';
+    });
+    vi.runAllTimers();
+
+    expect(JSON.parse(storage.data.get('threads')).value.threads[0].name).toBe('Renamed');
+    persisted.dispose();
+  });
+
+  it('should write a pending change when disposed, then stop writing', () => {
+    const storage = createMemoryStorage({ count: record(0) });
+    const isolated = createSignalSystem();
+    const count = new isolated.Signal.State(0);
+    const persisted = persist(count, {
+      key: 'count',
+      storage: localStorageAdapter(storage),
+      system: isolated,
+    });
+
+    count.set(1);
+    persisted.dispose();
+    count.set(2);
+    vi.runAllTimers();
+
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+    expect(storage.data.get('count')).toBe(record(1));
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, bench } from 'vitest';
+import { engines } from './engines.js';
+import { createSignalSystem } from './signals_tc39.js';
+import { createStore } from './store.js';
+
+// Each scenario builds its graph once per engine; the benchmarked function
+// writes a source and flushes, so it measures propagation, recomputation and
+// effect runs, not setup. Effects run synchronously on both engines.
+const create = (engine) => engine.create({ scheduler: 'sync' });
+
+describe('wide fan-out: 1 source, 1,000 computeds with an effect each', () => {
+  engines.forEach((engine) => {
+    const r = create(engine);
+    const source = r.signal(0);
+    for (let i = 0; i < 1000; i++) {
+      const derived = r.computed(() => source.get() + i);
+      r.effect(() => {
+        derived.get();
+      });
+    }
+    let value = 0;
+
+    bench(engine.name, () => {
+      source.set(++value);
+      r.flush();
+    });
+  });
+});
+
+describe('deep chain: 90 computeds in a row', () => {
+  engines.forEach((engine) => {
+    const r = create(engine);
+    const source = r.signal(0);
+    let last = source;
+    for (let i = 0; i < 90; i++) {
+      const previous = last;
+      last = r.computed(() => previous.get() + 1);
+    }
+    const tail = last;
+    r.effect(() => {
+      tail.get();
+    });
+    let value = 0;
+
+    bench(engine.name, () => {
+      source.set(++value);
+      r.flush();
+    });
+  });
+});
+
+describe('diamonds: 500 pairs of computeds joined by an effect', () => {
+  engines.forEach((engine) => {
+    const r = create(engine);
+    const source = r.signal(0);
+    for (let i = 0; i < 500; i++) {
+      const left = r.computed(() => source.get() * 2);
+      const right = r.computed(() => source.get() * 3);
+      r.effect(() => {
+        left.get();
+        right.get();
+      });
+    }
+    let value = 0;
+
+    bench(engine.name, () => {
+      source.set(++value);
+      r.flush();
+    });
+  });
+});
+
+// Appends a message and removes it again, so every iteration starts from the
+// same 10,000 messages
+describe('10,000-message thread: append and remove a message, counting unread', () => {
+  const system = createSignalSystem();
+  const messages = Array.from({ length: 10000 }, (_, i) => ({
+    id: i,
+    content: `Message ${i}`,
+    read: i % 3 === 0,
+  }));
+  const store = createStore({ threads: [{ id: 1, messages }] }, { system });
+  const unread = new system.Signal.Computed(
+    () => store.state.threads[0].messages.filter((message) => !message.read).length
+  );
+  system.effect(() => unread.get(), { scheduler: 'sync' });
+  bench('signals_tc39.js + createStore', () => {
+    store.produce((draft) => {
+      draft.threads[0].messages.push({ id: messages.length, content: 'New', read: false });
+    });
+    store.produce((draft) => {
+      draft.threads[0].messages.pop();
+    });
+  });
+});
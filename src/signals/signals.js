@@ -3,7 +3,9 @@ class SignalSystem {
     this.currentComputation = null;
     this.updateQueue = new Set();
     this.isUpdating = false;
-    this.computationStack = [];
+    // Reused by every flushUpdates() pass instead of allocating a new array
+    this.flushBuffer = [];
+    this.currentTransaction = null;
   }
 
   // 🆕 Utility to remove a subscriber from a dependency
@@ -13,31 +15,82 @@ class SignalSystem {
     }
   }
 
+  // Records `node` as a dependency of the running computation, with the version
+  // it was read at
+  track(node) {
+    const computation = this.currentComputation;
+    if (computation) {
+      node._subscribers.add(computation);
+      computation.dependencies.add(node);
+      computation.versions.set(node, node._getVersion());
+    }
+  }
+
+  // A stale computation only reruns if a dependency really changed: computed
+  // dependencies are brought up to date first, so one that recomputed to the
+  // same value stops the update here
+  dependenciesChanged(computation) {
+    for (const dep of computation.dependencies) {
+      if (dep._refresh) dep._refresh();
+      if (dep._getVersion() !== computation.versions.get(dep)) return true;
+    }
+    return false;
+  }
+
+  // Detaches the computation from its dependencies and forgets them. The next
+  // run gets a fresh set and map, which is cheaper than clear()ing them
+  unsubscribe(computation) {
+    computation.dependencies.forEach((dep) => this.removeSubscriber(dep, computation));
+    computation.dependencies = new Set();
+    computation.versions = new Map();
+  }
+
   createSignal(initialValue) {
     const subscribers = new Set();
     let value = initialValue;
+    let version = 0;
+    let isDisposed = false;
 
     const signal = {
       get: () => {
-        if (this.currentComputation) {
-          subscribers.add(this.currentComputation);
-          this.currentComputation.dependencies.add(signal);
+        if (isDisposed) {
+          throw new Error('Cannot access disposed signal');
         }
+        this.track(signal);
         return value;
       },
 
       set: (newValue) => {
+        if (isDisposed) {
+          throw new Error('Cannot set value on disposed signal');
+        }
         if (value !== newValue) {
+          const transaction = this.currentTransaction;
+          if (transaction && !transaction.restores.has(signal)) {
+            const previous = value;
+            transaction.restores.set(signal, () => {
+              value = previous;
+              version++;
+              this.markStale(subscribers);
+            });
+          }
           value = newValue;
+          version++;
           this.scheduleUpdate(subscribers);
         }
       },
 
       peek: () => value,
 
-      destroy: () => subscribers.clear(),
+      destroy: () => {
+        isDisposed = true;
+        subscribers.clear();
+      },
+
+      dispose: () => signal.destroy(),
 
       _subscribers: subscribers,
+      _getVersion: () => version,
       _isSignal: true,
     };
 
@@ -47,44 +100,58 @@ class SignalSystem {
   createComputed(fn) {
     const subscribers = new Set();
     let isStale = true;
+    let hasValue = false;
     let cachedValue;
+    // A throwing fn caches its error like a value: reads rethrow it until a
+    // dependency changes
+    let hasError = false;
+    let cachedError;
+    let version = 0;
     let isComputing = false;
-    let dependencies = new Set();
+    let isDisposed = false;
 
+    // Marks this computed (and, through it, everything downstream) as possibly
+    // stale; whether it really recomputes is decided when it is next read
     const invalidate = () => {
+      if (isStale) return;
       isStale = true;
-      this.scheduleUpdate(subscribers);
+      this.markStale(subscribers);
+    };
+
+    // One computation per computed, reused by every recompute
+    const computation = {
+      dependencies: new Set(),
+      versions: new Map(),
+      markStale: invalidate,
     };
 
     const computed = {
       get: () => {
+        if (isDisposed) {
+          throw new Error('Cannot access disposed computed signal');
+        }
         if (isComputing) {
           throw new Error('Circular dependency detected in computed signal');
         }
 
-        if (this.currentComputation) {
-          subscribers.add(this.currentComputation);
-          this.currentComputation.dependencies.add(computed);
-        }
-
-        if (isStale && !isComputing) {
-          computed.computeValue();
-        }
-
+        computed._refresh();
+        // Track after refreshing so the recorded version is the settled one
+        this.track(computed);
+        if (hasError) throw cachedError;
         return cachedValue;
       },
 
       peek: () => {
-        if (isStale && !isComputing) {
+        if (!isComputing) {
           const prevComputation = this.currentComputation;
           this.currentComputation = null;
           try {
-            cachedValue = this.safeExecute(fn);
-            isStale = false;
+            computed._refresh();
           } finally {
             this.currentComputation = prevComputation;
           }
         }
+        if (hasError) throw cachedError;
         return cachedValue;
       },
 
@@ -95,56 +162,130 @@ class SignalSystem {
 
         isComputing = true;
         const prevComputation = this.currentComputation;
-        const oldDependencies = dependencies;
-        dependencies = new Set();
-
-        const computation = {
-          dependencies,
-          invalidate,
-        };
-
+        this.unsubscribe(computation);
         this.currentComputation = computation;
-        this.computationStack.push(computation);
 
         try {
-          this.detectCycle();
-          cachedValue = this.safeExecute(fn);
+          const value = fn();
           isStale = false;
 
-          // 🆕 Use helper for old dependency cleanup
-          oldDependencies.forEach((dep) => {
-            if (!dependencies.has(dep)) {
-              this.removeSubscriber(dep, computation);
-            }
-          });
+          // An equal result keeps the old version, so dependents see no change
+          if (!hasValue || hasError || value !== cachedValue) {
+            hasValue = true;
+            hasError = false;
+            cachedError = undefined;
+            cachedValue = value;
+            version++;
+          }
+        } catch (err) {
+          isStale = false;
+          hasValue = false;
+          hasError = true;
+          cachedError = err;
+          version++;
         } finally {
           this.currentComputation = prevComputation;
-          this.computationStack.pop();
           isComputing = false;
         }
       },
 
       destroy: () => {
-        dependencies.forEach((dep) => this.removeSubscriber(dep, computed));
-        dependencies.clear();
+        this.unsubscribe(computation);
+        isDisposed = true;
+        isStale = true;
+        hasValue = false;
+        hasError = false;
+        cachedValue = undefined;
+        cachedError = undefined;
         subscribers.clear();
       },
 
+      dispose: () => computed.destroy(),
+
+      _refresh: () => {
+        if (!isStale || isComputing || isDisposed) return;
+
+        if ((hasValue || hasError) && !this.dependenciesChanged(computation)) {
+          isStale = false;
+          return;
+        }
+        computed.computeValue();
+      },
+
       _subscribers: subscribers,
+      _getVersion: () => version,
       _isComputed: true,
     };
 
     return computed;
   }
 
+  // Writable computed: derives from computation(source()) until set() overrides
+  // it, and derives again once source() returns a different value
+  createLinked(source, computation = (value) => value) {
+    const override = this.createSignal(null);
+    let hasSource = false;
+    let lastSource;
+    let generation = {};
+
+    const derived = this.createComputed(() => {
+      const sourceValue = source();
+      if (!hasSource || sourceValue !== lastSource) {
+        hasSource = true;
+        lastSource = sourceValue;
+        generation = {};
+      }
+
+      const local = override.get();
+      return local && local.generation === generation ? local.value : computation(sourceValue);
+    });
+
+    return {
+      get: derived.get,
+      peek: derived.peek,
+
+      set: (value) => {
+        // Settle first so the override is stamped with the current source generation
+        const prevComputation = this.currentComputation;
+        this.currentComputation = null;
+        try {
+          derived.get();
+        } finally {
+          this.currentComputation = prevComputation;
+        }
+        override.set({ value, generation });
+      },
+
+      reset: () => override.set(null),
+
+      destroy: () => {
+        derived.destroy();
+        override.destroy();
+      },
+
+      dispose: () => {
+        derived.destroy();
+        override.destroy();
+      },
+
+      _subscribers: derived._subscribers,
+      _isComputed: true,
+    };
+  }
+
   createEffect(fn) {
     let isActive = true;
-    let dependencies = new Set();
     let cleanupFn = null; // 🆕 support returned cleanup
 
+    // One computation per effect, reused by every run
+    const computation = {
+      dependencies: new Set(),
+      versions: new Map(),
+      markStale: () => this.updateQueue.add(rerun),
+    };
+
     const cleanup = () => {
-      dependencies.forEach((dep) => this.removeSubscriber(dep, runEffect));
-      dependencies.clear();
+      this.unsubscribe(computation);
 
       // 🆕 Run user cleanup if present
       if (typeof cleanupFn === 'function') {
@@ -163,32 +304,22 @@ class SignalSystem {
       cleanup(); // always clean up previous
 
       const prevComputation = this.currentComputation;
-      const oldDependencies = dependencies;
-      dependencies = new Set();
-
-      const computation = {
-        dependencies,
-        invalidate: runEffect,
-      };
-
       this.currentComputation = computation;
-      this.computationStack.push(computation);
 
       try {
-        this.detectCycle();
         const possibleCleanup = this.safeExecute(fn);
         if (typeof possibleCleanup === 'function') {
           cleanupFn = possibleCleanup; // 🆕 register user cleanup
         }
-
-        oldDependencies.forEach((dep) => {
-          if (!dependencies.has(dep)) {
-            this.removeSubscriber(dep, runEffect);
-          }
-        });
       } finally {
         this.currentComputation = prevComputation;
-        this.computationStack.pop();
+      }
+    };
+
+    // Queued when a dependency may have changed; skipped if none actually did
+    const rerun = () => {
+      if (isActive && this.dependenciesChanged(computation)) {
+        runEffect();
       }
     };
 
@@ -200,29 +331,14 @@ class SignalSystem {
     };
   }
 
-  detectCycle() {
-    const current = this.currentComputation;
-    if (!current) return;
-
-    let count = 0;
-    for (const comp of this.computationStack) {
-      if (comp === current) {
-        count++;
-        if (count > 1) {
-          throw new Error('Circular dependency detected in signal computation');
-        }
-      }
-    }
+  // Marks computeds stale right away, so nothing can read an outdated value,
+  // and queues effects to run once the update (or batch) is complete
+  markStale(subscribers) {
+    subscribers.forEach((sub) => sub.markStale());
   }
 
   scheduleUpdate(subscribers) {
-    subscribers.forEach((sub) => {
-      if (typeof sub === 'function') {
-        this.updateQueue.add(sub);
-      } else if (sub.invalidate) {
-        this.updateQueue.add(sub.invalidate);
-      }
-    });
+    this.markStale(subscribers);
 
     if (!this.isUpdating) {
       this.flushUpdates();
@@ -234,8 +350,10 @@ class SignalSystem {
 
     this.isUpdating = true;
     try {
+      const updates = this.flushBuffer;
+
       while (this.updateQueue.size > 0) {
-        const updates = Array.from(this.updateQueue);
+        this.updateQueue.forEach((update) => updates.push(update));
         this.updateQueue.clear();
 
         updates.forEach((update) => {
@@ -245,6 +363,7 @@ class SignalSystem {
             console.error('Error in signal update:', err);
           }
         });
+        updates.length = 0;
       }
     } finally {
       this.isUpdating = false;
@@ -275,6 +394,35 @@ class SignalSystem {
       this.isUpdating = wasUpdating;
     }
   }
+
+  // Like batch(), but if fn throws every signal it set gets its previous value
+  // back and nothing it queued runs. Restoring marks dependents stale again, as
+  // computeds read inside the transaction may have cached a staged value.
+  transaction(fn) {
+    const parent = this.currentTransaction;
+    const transaction = { restores: new Map(), queued: new Set(this.updateQueue) };
+
+    return this.batch(() => {
+      this.currentTransaction = transaction;
+      try {
+        const result = fn();
+        if (parent) {
+          transaction.restores.forEach((restore, signal) => {
+            if (!parent.restores.has(signal)) parent.restores.set(signal, restore);
+          });
+        }
+        return result;
+      } catch (err) {
+        transaction.restores.forEach((restore) => restore());
+        this.updateQueue.forEach((update) => {
+          if (!transaction.queued.has(update)) this.updateQueue.delete(update);
+        });
+        throw err;
+      } finally {
+        this.currentTransaction = parent;
+      }
+    });
+  }
 }
 
 // Factory & default exports same as yours
@@ -283,8 +431,10 @@ function createSignalSystem() {
   return {
     signal: (v) => system.createSignal(v),
     computed: (fn) => system.createComputed(fn),
+    linked: (source, computation) => system.createLinked(source, computation),
     effect: (fn) => system.createEffect(fn),
     batch: (fn) => system.batch(fn),
+    transaction: (fn) => system.transaction(fn),
     system,
   };
 }
@@ -292,17 +442,21 @@ function createSignalSystem() {
 const defaultSystem = createSignalSystem();
 const signal = defaultSystem.signal;
 const computed = defaultSystem.computed;
+const linked = defaultSystem.linked;
 const effect = defaultSystem.effect;
 const batch = defaultSystem.batch;
+const transaction = defaultSystem.transaction;
 
-export { signal, computed, effect, batch, createSignalSystem, SignalSystem };
+export { signal, computed, linked, effect, batch, transaction, createSignalSystem, SignalSystem };
 
 if (typeof window !== 'undefined') {
   window.Signals = {
     signal,
     computed,
+    linked,
     effect,
     batch,
+    transaction,
     createSignalSystem,
     SignalSystem,
   };
@@ -8,114 +8,902 @@ class ErrorHandler {
       if (!continueOnError) throw err;
     }
   }
+}
+
+// Queues effect jobs and runs them together once requestFlush calls back.
+// A scheduler given a `queued` set is in it while it has jobs.
+class Scheduler {
+  constructor(system, requestFlush, queued = null) {
+    this.system = system;
+    this.requestFlush = requestFlush;
+    this.queued = queued;
+    this.queue = new Set();
+    this.isFlushScheduled = false;
+    this.isFlushing = false;
+    // Requested flushes in a row that were each asked for by the one before
+    this.chainLength = 0;
+    this.isSampling = false;
+  }
+
+  schedule(job) {
+    this.queue.add(job);
+    this.queued?.add(this);
+
+    if (!this.isFlushScheduled) {
+      this.isFlushScheduled = true;
+      const chained = this.isFlushing;
+      this.requestFlush(() => this.flushRequested(chained));
+    }
+  }
+
+  // A flush requestFlush called back for. Jobs that keep scheduling jobs
+  // chain flushes (one per microtask or frame) that no flushUpdates() or
+  // flushSync() pass counts, so the chain is counted here and reported as a
+  // runaway loop, dropping its jobs, once it gets longer than maxFlushes.
+  flushRequested(chained) {
+    // Synchronous schedulers flush inside the flush that scheduled the job
+    if (this.isFlushing) {
+      this.flush();
+      return;
+    }
+    if (this.queue.size === 0) {
+      this.isFlushScheduled = false;
+      this.endChain();
+      return;
+    }
+
+    const { system } = this;
+    this.chainLength = chained ? this.chainLength + 1 : 1;
+    if (this.chainLength > system.maxFlushes) {
+      this.isFlushScheduled = false;
+      this.queue.clear();
+      this.queued?.delete(this);
+      system.reportRunaway();
+      this.endChain();
+      return;
+    }
+    this.isSampling = system.sampleRunaway(this.chainLength) || this.isSampling;
 
-  static withContextIsolation(setup, operation, teardown) {
-    const context = setup();
+    this.flush();
+    if (!this.isFlushScheduled) {
+      this.endChain();
+    }
+  }
+
+  endChain() {
+    this.chainLength = 0;
+    if (this.isSampling) {
+      this.isSampling = false;
+      this.system.runaway = null;
+    }
+  }
+
+  flush() {
+    this.isFlushScheduled = false;
+    if (this.queue.size === 0) return;
+
+    const { system } = this;
+    const jobs = this.queue;
+    const wasFlushing = this.isFlushing;
+    // A fresh set costs less than clear()ing this one afterwards
+    this.queue = new Set();
+    this.queued?.delete(this);
+    this.isFlushing = true;
+    if (system.hooks) {
+      system.emit('onFlushStart', { kind: 'effects', size: jobs.size });
+    }
     try {
-      return operation();
+      for (const job of jobs) {
+        ErrorHandler.safeExecute(job, 'scheduled effect iteration');
+      }
     } finally {
-      teardown(context);
+      this.isFlushing = wasFlushing;
+      if (system.hooks) {
+        system.emit('onFlushEnd', { kind: 'effects' });
+      }
+    }
+  }
+}
+
+const requestAnimationFrameFlush = (flush) => {
+  if (typeof requestAnimationFrame === 'function') {
+    requestAnimationFrame(flush);
+  } else {
+    setTimeout(flush, 16);
+  }
+};
+
+const requestIdleFlush = (flush) => {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(flush);
+  } else {
+    setTimeout(flush, 0);
+  }
+};
+
+// Ownership scope: collects cleanups for everything created while it is current
+// and runs them newest first when reset (effect rerun) or disposed. Errors from
+// inside the scope go to its onError handlers, which a reset clears as well.
+class Owner {
+  constructor(system, parent, context, node = null) {
+    this.system = system;
+    this.parent = parent;
+    this.context = context;
+    this.node = node;
+    this.cleanups = new Set();
+    this.errorHandlers = new Set();
+    this.disposed = false;
+  }
+
+  add(cleanup) {
+    if (this.disposed) {
+      this.runCleanup(cleanup);
+      return;
+    }
+    this.cleanups.add(cleanup);
+  }
+
+  runCleanup(cleanup) {
+    this.system.guard(cleanup, { phase: 'cleanup', node: this.node, owner: this }, this.context);
+  }
+
+  remove(cleanup) {
+    this.cleanups.delete(cleanup);
+  }
+
+  reset() {
+    if (this.cleanups.size > 0) {
+      const cleanups = Array.from(this.cleanups).reverse();
+      this.cleanups.clear();
+      cleanups.forEach((cleanup) => this.runCleanup(cleanup));
+    }
+    this.errorHandlers.clear();
+  }
+
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    this.reset();
+  }
+}
+
+const MAX_SUMMARY_LENGTH = 40;
+
+function truncate(text) {
+  return text.length > MAX_SUMMARY_LENGTH ? `${text.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : text;
+}
+
+// Short, always-serializable description of a value for tooling
+function summarizeValue(value) {
+  if (value === undefined) return 'undefined';
+  if (value === null) return 'null';
+  if (typeof value === 'string') return truncate(JSON.stringify(value));
+  if (typeof value === 'function') return '[Function]';
+  if (typeof value !== 'object') return truncate(String(value));
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (value instanceof Error) return truncate(`Error: ${value.message}`);
+
+  const keys = Object.keys(value);
+  const shown = keys.slice(0, 3).join(', ');
+  return truncate(`{${shown}${keys.length > 3 ? ', …' : ''}}`);
+}
+
+// Built-in comparators for the `equals` option
+
+function defaultEquals(a, b) {
+  return a === b;
+}
+
+// Same own keys holding identical (===) values
+function shallowEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.hasOwn(b, key) && a[key] === b[key]);
+}
+
+// Same length holding identical (===) items
+function shallowArrayEqual(a, b) {
+  if (a === b) return true;
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+  return a.every((item, i) => item === b[i]);
+}
+
+// Structural equality for plain objects, arrays, Dates, Maps and Sets. Map
+// keys are matched by identity; Set members are matched deeply, in any order.
+// Other objects (class instances, functions) are compared by identity.
+function deepEqual(a, b, seen = new Map()) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  // Cyclic structures: assume equal while a pair is being compared
+  if (seen.get(a) === b) return true;
+  seen.set(a, b);
+
+  if (a instanceof Date) return a.getTime() === b.getTime();
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i], seen));
+  }
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    for (const [key, value] of a) {
+      if (!b.has(key) || !deepEqual(value, b.get(key), seen)) return false;
+    }
+    return true;
+  }
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    // Members b holds as is match themselves; any other member needs a deep
+    // match among b's remaining members. A failed try may have recorded pairs
+    // in `seen`, so each try gets its own copy.
+    const unmatched = [...b].filter((value) => !a.has(value));
+    for (const value of a) {
+      if (b.has(value)) continue;
+      const index = unmatched.findIndex((candidate) => deepEqual(value, candidate, new Map(seen)));
+      if (index === -1) return false;
+      unmatched.splice(index, 1);
     }
+    return true;
   }
 
-  static safeForEach(collection, fn, context) {
-    collection.forEach((item) => {
-      this.safeExecute(() => fn(item), `${context} iteration`);
+  const proto = Object.getPrototypeOf(a);
+  if (proto !== Object.prototype && proto !== null) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.hasOwn(b, key) && deepEqual(a[key], b[key], seen));
+}
+
+// Opt-in "why did this rerun" recorder. A change remembers its source and
+// old/new values; every node it reaches collects the propagation chain until
+// that node next recomputes or runs, which is when a record is written.
+class Tracer {
+  constructor(system, limit) {
+    this.system = system;
+    this.limit = limit;
+    this.records = [];
+    this.sequence = 0;
+    this.pendingCauses = new WeakMap();
+  }
+
+  recordChange(source, oldValue, newValue) {
+    const name = this.system.getDebugName(source);
+    this.pendingCauses.set(source, [{ source: name, oldValue, newValue, chain: [name] }]);
+  }
+
+  recordPropagation(source, sink) {
+    const causes = this.pendingCauses.get(source);
+    if (!causes) return;
+
+    const sinkName = this.system.getDebugName(sink);
+    const pending = this.pendingCauses.get(sink) || [];
+    causes.forEach((cause) => {
+      pending.push({ ...cause, chain: [...cause.chain, sinkName] });
     });
+    this.pendingCauses.set(sink, pending);
   }
 
-  static withCleanup(operation, cleanup) {
-    try {
-      return operation();
-    } finally {
-      if (cleanup) cleanup();
+  recordRun(kind, node) {
+    const causes = this.pendingCauses.get(node) || [];
+    this.pendingCauses.delete(node);
+
+    this.records.push({
+      sequence: ++this.sequence,
+      kind,
+      name: this.system.getDebugName(node),
+      causes,
+    });
+    if (this.records.length > this.limit) {
+      this.records.shift();
+    }
+  }
+
+  getRecords(target) {
+    if (target === undefined) return this.records.slice();
+
+    const name = typeof target === 'string' ? target : this.system.getDebugName(target);
+    return this.records.filter((record) => record.name === name);
+  }
+
+  print(target) {
+    this.getRecords(target).forEach((record) => {
+      const lines = [`#${record.sequence} ${record.kind} ${record.name}`];
+      if (record.causes.length === 0) {
+        lines.push('  (initial run)');
+      }
+      record.causes.forEach((cause) => {
+        lines.push(
+          `  ${cause.source}: ${summarizeValue(cause.oldValue)} → ${summarizeValue(cause.newValue)}` +
+            ` via ${cause.chain.join(' → ')}`
+        );
+      });
+      console.log(lines.join('\n'));
+    });
+  }
+}
+
+// Node states for push-pull propagation
+const CLEAN = 0;
+const CHECK = 1;
+const DIRTY = 2;
+
+// Undo log for system.transaction(): the value every State held before its first
+// write in the transaction, plus rollback hooks for data kept outside signals
+// (store trees, collection contents)
+class Transaction {
+  constructor(parent, updateQueue) {
+    this.parent = parent;
+    this.queued = new Set(updateQueue);
+    this.previousValues = new Map();
+    this.rollbacks = [];
+  }
+
+  record(state) {
+    if (!this.previousValues.has(state)) {
+      this.previousValues.set(state, state._value);
     }
   }
+
+  onRollback(rollback) {
+    this.rollbacks.push(rollback);
+  }
+
+  // A nested transaction that succeeds hands its log to the enclosing one,
+  // which can still roll everything back
+  commit() {
+    if (!this.parent) return;
+    this.previousValues.forEach((value, state) => {
+      if (!this.parent.previousValues.has(state)) {
+        this.parent.previousValues.set(state, value);
+      }
+    });
+    this.parent.rollbacks.push(...this.rollbacks);
+  }
 }
 
+const byHeight = (a, b) => a._flushHeight - b._flushHeight;
+
+// Hooks an instrument() listener may implement:
+//   onSignalCreate(node)                 State, Computed, Watcher or effect created
+//   onSet(node, { previous, value })     State changed (equal writes are skipped)
+//   onComputeStart(node)                 Computed about to run its callback
+//   onComputeEnd(node, { changed, error })
+//   onEffectRun(node)                    effect about to run
+//   onFlushStart({ kind, size })         'updates' (watchers queued by writes) or
+//   onFlushEnd({ kind })                 'effects' (one scheduler's jobs); may nest
+//   onDispose(node)
+const HOOK_NAMES = [
+  'onSignalCreate',
+  'onSet',
+  'onComputeStart',
+  'onComputeEnd',
+  'onEffectRun',
+  'onFlushStart',
+  'onFlushEnd',
+  'onDispose',
+];
+
+// Passes before the flush limit that record what they write and run, so a
+// runaway update loop can be reported with the nodes that kept it going
+const RUNAWAY_SAMPLE_PASSES = 10;
+
+// Watcher option set by effect(), so a Watcher knows what it is from the start
+const effectWatcher = Symbol('effectWatcher');
+
 class SignalSystem {
-  constructor() {
+  constructor({ maxComputationDepth = 100, maxFlushes = 1000 } = {}) {
+    [
+      ['maxComputationDepth', maxComputationDepth],
+      ['maxFlushes', maxFlushes],
+    ].forEach(([option, value]) => {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new RangeError(`${option} must be a positive integer, got ${value}`);
+      }
+    });
+
     this.currentComputation = null;
     this.updateQueue = new Set();
+    // Reused by every flushUpdates() pass instead of allocating a new array
+    this.flushBuffer = [];
     this.isUpdating = false;
-    this.computationStack = [];
     this.computationDepth = 0;
-    this.maxComputationDepth = 100;
+    this.maxComputationDepth = maxComputationDepth;
+    // Passes flushUpdates() and flushSync() make before giving up on a loop
+    this.maxFlushes = maxFlushes;
+    // Innermost Computed running its callback, even under untrack(); each one
+    // links to the one it interrupted, which gives the path of a cycle
+    this.activeComputed = null;
+    // { writes, reactions } while the last passes before the flush limit run
+    this.runaway = null;
+    this.currentTransaction = null;
+
+    // onError handlers registered outside any owner scope
+    this.errorHandlers = new Set();
+    // Errors computeds have reported, so one passed up a chain of computeds
+    // is reported once, by the computed that threw it
+    this.reportedComputeErrors = new WeakSet();
+
+    // Bumped by every State change; lets unobserved computeds skip polling
+    this.globalVersion = 0;
+    this.currentOwner = null;
+    this.Signal = null;
+
+    // Weak registry of every live node by id, so tooling can walk the whole
+    // graph. An entry goes when its node is disposed or garbage collected.
+    this.nodeCount = 0;
+    this.nodeRefs = new Map();
+    this.nodeFinalizer =
+      typeof FinalizationRegistry === 'function'
+        ? new FinalizationRegistry((id) => this.nodeRefs.delete(id))
+        : null;
+
+    // Set by enableTracing()
+    this.tracer = null;
+
+    // Listeners attached with instrument(); null while there are none, so the
+    // hot paths only pay for a null check
+    this.hooks = null;
 
     // Shared microtask scheduler for Watcher notifications
     this.watcherNotificationQueue = new Set();
     this.isWatcherNotificationScheduled = false;
+
+    // Effect schedulers, by name. Custom requestFlush hooks get one scheduler
+    // each, kept only as long as the hook function is; flushSync() reaches the
+    // ones with queued jobs through queuedCustomSchedulers.
+    this.schedulers = {
+      sync: new Scheduler(this, (flush) => flush()),
+      microtask: new Scheduler(this, (flush) => Promise.resolve().then(flush)),
+      animationFrame: new Scheduler(this, requestAnimationFrameFlush),
+      idle: new Scheduler(this, requestIdleFlush),
+    };
+    this.customSchedulers = new WeakMap();
+    this.queuedCustomSchedulers = new Set();
   }
 
-  scheduleUpdate(subscribers) {
-    subscribers.forEach((sub) => {
-      if (typeof sub === 'function') {
-        this.updateQueue.add(sub);
-      } else if (sub.invalidate) {
-        this.updateQueue.add(sub.invalidate);
+  resolveScheduler(scheduler = 'microtask') {
+    if (scheduler instanceof Scheduler) {
+      return scheduler;
+    }
+
+    if (typeof scheduler === 'function') {
+      if (!this.customSchedulers.has(scheduler)) {
+        this.customSchedulers.set(
+          scheduler,
+          new Scheduler(this, scheduler, this.queuedCustomSchedulers)
+        );
+      }
+      return this.customSchedulers.get(scheduler);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(this.schedulers, scheduler)) {
+      throw new TypeError(`Unknown effect scheduler: ${scheduler}`);
+    }
+    return this.schedulers[scheduler];
+  }
+
+  // Runs every queued update, watcher notification and scheduled effect now,
+  // including work those runs queue in turn
+  flushSync() {
+    const schedulers = Object.values(this.schedulers);
+    let flushCount = 0;
+    let sampling = false;
+
+    const hasPendingWork = () =>
+      this.updateQueue.size > 0 ||
+      this.watcherNotificationQueue.size > 0 ||
+      this.queuedCustomSchedulers.size > 0 ||
+      schedulers.some((scheduler) => scheduler.queue.size > 0);
+
+    try {
+      while (hasPendingWork() && flushCount < this.maxFlushes) {
+        flushCount++;
+        sampling = this.sampleRunaway(flushCount) || sampling;
+        this.flushUpdates();
+        this.flushWatcherNotifications();
+        schedulers.forEach((scheduler) => scheduler.flush());
+        [...this.queuedCustomSchedulers].forEach((scheduler) => scheduler.flush());
       }
-    });
+
+      if (hasPendingWork()) {
+        this.reportRunaway();
+      }
+    } finally {
+      if (sampling) this.runaway = null;
+    }
+  }
+
+  // Starts recording writes and reactions once a flush loop is within
+  // RUNAWAY_SAMPLE_PASSES of the limit. True for the loop that started it.
+  sampleRunaway(flushCount) {
+    if (this.runaway || flushCount <= this.maxFlushes - RUNAWAY_SAMPLE_PASSES) return false;
+    this.runaway = { writes: new Set(), reactions: new Set() };
+    return true;
+  }
+
+  // Reports a flush loop that hit maxFlushes with work still queued, naming the
+  // States written and the watchers and effects run during its last passes
+  reportRunaway() {
+    const names = (nodes) => Array.from(nodes, (node) => this.getDebugName(node));
+    const signals = names(this.runaway ? this.runaway.writes : []);
+    const reactions = names(this.runaway ? this.runaway.reactions : []);
+
+    const lines = [
+      `Maximum flush iterations (${this.maxFlushes}) reached - possible infinite update loop`,
+    ];
+    if (signals.length > 0) lines.push(`  kept writing: ${signals.join(', ')}`);
+    if (reactions.length > 0) lines.push(`  kept running: ${reactions.join(', ')}`);
+
+    const error = new Error(lines.join('\n'));
+    error.signals = signals;
+    error.reactions = reactions;
+    this.reportError(error, { phase: 'flush' }, 'flush');
+  }
+
+  // Error for a computed read while it is being computed. Its path lists debug
+  // names from `node` through the computeds that read each other back to it.
+  circularDependencyError(node) {
+    const path = [this.getDebugName(node)];
+    for (let current = this.activeComputed; current && current !== node;) {
+      path.splice(1, 0, this.getDebugName(current));
+      current = current._computingParent;
+    }
+    path.push(path[0]);
+
+    const error = new Error(`Circular dependency detected in computed signal: ${path.join(' → ')}`);
+    error.path = path;
+    return error;
+  }
+
+  // Push phase: mark direct sinks of a changed source dirty; they mark their own
+  // sinks as needing a check. Values are only recomputed when pulled.
+  scheduleUpdate(source) {
+    source._subscribers.forEach((sub) => sub._markStale(DIRTY, source));
 
     if (!this.isUpdating) {
       this.flushUpdates();
     }
   }
 
+  // Reactions (watchers) queued during the push phase run lowest height first,
+  // so anything they pull has already settled below them. The queue is a Set,
+  // so each reaction runs at most once per pass no matter how many paths reach it.
   flushUpdates() {
-    if (this.isUpdating) return;
-
-    ErrorHandler.withCleanup(
-      () => {
-        this.isUpdating = true;
-        let flushCount = 0;
-        const maxFlushes = 1000;
+    if (this.isUpdating || this.updateQueue.size === 0) return;
 
-        while (this.updateQueue.size > 0 && flushCount < maxFlushes) {
-          const updates = Array.from(this.updateQueue);
-          this.updateQueue.clear();
-          flushCount++;
+    if (this.hooks) {
+      this.emit('onFlushStart', { kind: 'updates', size: this.updateQueue.size });
+    }
+    let sampling = false;
+    try {
+      this.isUpdating = true;
+      let flushCount = 0;
 
-          ErrorHandler.safeForEach(updates, (update) => update(), 'signal update');
-        }
+      const reactions = this.flushBuffer;
 
-        if (flushCount >= maxFlushes) {
-          console.error('Maximum flush iterations reached - possible infinite update loop');
-          this.updateQueue.clear();
+      while (this.updateQueue.size > 0 && flushCount < this.maxFlushes) {
+        // Heights are computed once per pass rather than on every comparison
+        this.updateQueue.forEach((reaction) => {
+          reaction._flushHeight = reaction._getHeight();
+          reactions.push(reaction);
+        });
+        this.updateQueue.clear();
+        reactions.sort(byHeight);
+        flushCount++;
+        sampling = this.sampleRunaway(flushCount) || sampling;
+
+        // A loop rather than guard(), which would allocate per reaction
+        for (const reaction of reactions) {
+          try {
+            reaction._run();
+          } catch (err) {
+            this.reportError(
+              err,
+              { phase: 'update', node: reaction, owner: reaction._owner },
+              'signal update iteration'
+            );
+          }
         }
-      },
-      () => {
-        this.isUpdating = false;
+        reactions.length = 0;
       }
-    );
-  }
 
-  safeExecute(fn) {
-    return ErrorHandler.safeExecute(fn, 'signal computation', false);
+      if (this.updateQueue.size > 0) {
+        this.reportRunaway();
+        this.updateQueue.clear();
+      }
+    } finally {
+      this.isUpdating = false;
+      if (sampling) this.runaway = null;
+      if (this.hooks) {
+        this.emit('onFlushEnd', { kind: 'updates' });
+      }
+    }
   }
 
   batch(fn) {
     const wasUpdating = this.isUpdating;
 
-    return ErrorHandler.withCleanup(
-      () => {
-        this.isUpdating = true;
+    try {
+      this.isUpdating = true;
+      const result = fn();
+      if (!wasUpdating) {
+        this.isUpdating = false;
+        this.flushUpdates();
+      }
+      return result;
+    } finally {
+      this.isUpdating = wasUpdating;
+    }
+  }
+
+  // Like batch(), but if fn throws every write it made is undone before the
+  // error is rethrown, and nothing it queued is notified
+  transaction(fn) {
+    const transaction = new Transaction(this.currentTransaction, this.updateQueue);
+
+    return this.batch(() => {
+      try {
+        this.currentTransaction = transaction;
         const result = fn();
-        if (!wasUpdating) {
-          this.isUpdating = false;
-          this.flushUpdates();
-        }
+        this.currentTransaction = transaction.parent;
+        transaction.commit();
         return result;
-      },
-      () => {
-        this.isUpdating = wasUpdating;
+      } catch (err) {
+        this.rollback(transaction);
+        throw err;
+      } finally {
+        this.currentTransaction = transaction.parent;
       }
+    });
+  }
+
+  rollback(transaction) {
+    // Hooks undo their own writes newest first. Signals they set on the way are
+    // logged too, so they are restored and settled with the rest below.
+    const rollbacks = transaction.rollbacks.splice(0).reverse();
+    this.currentTransaction = transaction;
+    rollbacks.forEach((rollback) =>
+      this.guard(rollback, { phase: 'rollback' }, 'transaction rollback')
     );
+    this.currentTransaction = transaction.parent;
+
+    // Restored values get a new version and are pushed like any other change,
+    // so computeds that cached a value from inside the transaction recompute
+    transaction.previousValues.forEach((value, state) => {
+      if (state._disposed) return;
+      state._value = value;
+      state._version++;
+      state._subscribers.forEach((sub) => sub._markStale(DIRTY, state));
+    });
+    this.globalVersion++;
+
+    // Settle what got marked, or later changes would stop at these
+    // already-stale nodes instead of reaching their sinks
+    const marked = new Set();
+    const collectMarked = (node) => {
+      node._subscribers.forEach((sub) => {
+        if (sub instanceof this.Signal.Computed && sub._state !== CLEAN && !marked.has(sub)) {
+          marked.add(sub);
+          collectMarked(sub);
+        }
+      });
+    };
+    transaction.previousValues.forEach((value, state) => collectMarked(state));
+    marked.forEach((computed) => computed._updateIfNecessary());
+
+    // Watchers queued by the transaction (or by the rollback) are not notified
+    this.updateQueue.forEach((watcher) => {
+      if (!transaction.queued.has(watcher)) {
+        watcher._pendingSignals.clear();
+        this.updateQueue.delete(watcher);
+      }
+    });
+  }
+
+  registerNode(node) {
+    node._id = ++this.nodeCount;
+    if (this.nodeFinalizer && typeof WeakRef === 'function') {
+      this.nodeRefs.set(node._id, new WeakRef(node));
+      this.nodeFinalizer.register(node, node._id, node);
+    }
+  }
+
+  unregisterNode(node) {
+    if (this.nodeRefs.delete(node._id)) {
+      this.nodeFinalizer.unregister(node);
+    }
+  }
+
+  getNodes() {
+    const nodes = [];
+    this.nodeRefs.forEach((ref, id) => {
+      const node = ref.deref();
+      if (node && !node._disposed) {
+        nodes.push(node);
+      } else {
+        this.nodeRefs.delete(id);
+      }
+    });
+    return nodes;
+  }
+
+  getNodeKind(node) {
+    if (node instanceof this.Signal.State) return 'state';
+    if (node instanceof this.Signal.Computed) return 'computed';
+    return node._isEffect ? 'effect' : 'watcher';
+  }
+
+  getDebugName(node) {
+    return node._name || `${this.getNodeKind(node)}#${node._id}`;
+  }
+
+  // Whether reading the node (or flushing the watcher) could change what it
+  // holds. Unobserved computeds get no pushes, so they count as stale once
+  // anything changed since they were last checked.
+  isStale(node) {
+    if (node instanceof this.Signal.State) return false;
+    if (node instanceof this.Signal.Computed) {
+      return node._state !== CLEAN || (!node._isLive() && node._checkedAt !== this.globalVersion);
+    }
+    return node._pendingSignals.size > 0;
+  }
+
+  enableTracing({ limit = 500 } = {}) {
+    this.tracer = new Tracer(this, limit);
+  }
+
+  disableTracing() {
+    this.tracer = null;
+  }
+
+  getTrace(target) {
+    return this.tracer ? this.tracer.getRecords(target) : [];
+  }
+
+  printTrace(target) {
+    if (this.tracer) {
+      this.tracer.print(target);
+    }
+  }
+
+  clearTrace() {
+    if (this.tracer) {
+      this.tracer.records = [];
+    }
+  }
+
+  // Attaches an object with any of the HOOK_NAMES methods; returns a function
+  // that detaches it. Listeners attached during an emit see the next one.
+  instrument(listener) {
+    const unknown = Object.keys(listener).filter((key) => !HOOK_NAMES.includes(key));
+    if (unknown.length > 0) {
+      throw new TypeError(`Unknown instrumentation hook: ${unknown.join(', ')}`);
+    }
+
+    this.hooks = [...(this.hooks || []), listener];
+    return () => {
+      const remaining = (this.hooks || []).filter((attached) => attached !== listener);
+      this.hooks = remaining.length > 0 ? remaining : null;
+    };
+  }
+
+  // Calls hook `name` on every attached listener. Callers check this.hooks
+  // first. Hooks run untracked, and what they throw is reported, not raised.
+  emit(name, ...args) {
+    const prevComputation = this.currentComputation;
+    this.currentComputation = null;
+    try {
+      this.hooks.forEach((listener) => {
+        if (listener[name]) {
+          this.guard(() => listener[name](...args), { phase: 'hook' }, `${name} hook`);
+        }
+      });
+    } finally {
+      this.currentComputation = prevComputation;
+    }
+  }
+
+  withOwner(owner, fn) {
+    const prevOwner = this.currentOwner;
+    this.currentOwner = owner;
+    try {
+      return fn();
+    } finally {
+      this.currentOwner = prevOwner;
+    }
+  }
+
+  // Roots are not disposed with the scope they are created in; only dispose() ends them
+  createRoot(fn) {
+    const owner = new Owner(this, this.currentOwner, 'root cleanup');
+    return this.withOwner(owner, () => fn(() => owner.dispose()));
+  }
+
+  onCleanup(cleanup) {
+    if (!this.currentOwner) {
+      console.warn('onCleanup called outside of createRoot or effect will never run');
+      return;
+    }
+    this.currentOwner.add(cleanup);
+  }
+
+  // Inside createRoot() or an effect the handler covers that scope and the ones
+  // nested in it; anywhere else it covers what no scope handles
+  onError(handler) {
+    const handlers = this.currentOwner ? this.currentOwner.errorHandlers : this.errorHandlers;
+    handlers.add(handler);
+    return () => handlers.delete(handler);
+  }
+
+  // Hands an error nobody could catch to the nearest onError handlers, starting
+  // from `owner` and moving out, then to the system's. A handler that throws
+  // passes its error on to the next scope out. Without handlers the error is
+  // logged with `label`, as before handlers existed.
+  reportError(error, { phase, node = null, owner = null }, label = phase) {
+    let current = error;
+    let context = { phase, node, name: node ? this.getDebugName(node) : undefined };
+
+    for (let scope = owner; scope; scope = scope.parent) {
+      if (scope.errorHandlers.size === 0) continue;
+      try {
+        scope.errorHandlers.forEach((handler) => handler(current, context));
+        return;
+      } catch (handlerError) {
+        // Rethrowing the error itself declines it; anything else is a new failure
+        if (handlerError !== current) {
+          current = handlerError;
+          context = { ...context, phase: 'error handler' };
+        }
+      }
+    }
+
+    if (this.errorHandlers.size > 0) {
+      try {
+        this.errorHandlers.forEach((handler) => handler(current, context));
+        return;
+      } catch (handlerError) {
+        console.error('Error in error handler:', handlerError);
+        return;
+      }
+    }
+
+    console.error(`Error in ${current === error ? label : 'error handler'}:`, current);
+  }
+
+  // A computed caches its error and rethrows it to every reader, which reports
+  // it in turn (an effect, a watcher's notify), so it is never logged here.
+  // onError handlers in scope still hear about it once, with phase 'compute'.
+  reportComputeError(error, node) {
+    if (!this.hasErrorHandlers(node._owner)) return;
+    if (error !== null && (typeof error === 'object' || typeof error === 'function')) {
+      if (this.reportedComputeErrors.has(error)) return;
+      this.reportedComputeErrors.add(error);
+    }
+    this.reportError(error, { phase: 'compute', node, owner: node._owner });
+  }
+
+  hasErrorHandlers(owner) {
+    for (let scope = owner; scope; scope = scope.parent) {
+      if (scope.errorHandlers.size > 0) return true;
+    }
+    return this.errorHandlers.size > 0;
+  }
+
+  // Runs fn, reporting what it throws instead of letting it escape
+  guard(fn, context, label) {
+    try {
+      return fn();
+    } catch (err) {
+      this.reportError(err, context, label);
+    }
   }
 
   removeSubscriber(dep, subscriber) {
     if (dep && dep._subscribers) {
-      dep._subscribers.delete(subscriber);
-      Signal._triggerUnwatchedCallbacks(dep);
+      dep._removeSink(subscriber);
     }
   }
 
@@ -142,436 +930,839 @@ class SignalSystem {
     this.watcherNotificationQueue.clear();
     this.isWatcherNotificationScheduled = false;
 
-    ErrorHandler.safeForEach(
-      watchers,
-      (watcher) => {
-        if (watcher._pendingSignals.size > 0 && !watcher._isNotifying) {
-          ErrorHandler.withCleanup(
-            () => {
-              watcher._isNotifying = true;
-              watcher._notify();
-            },
-            () => {
-              watcher._pendingSignals.clear();
-              watcher._isNotifying = false;
-            }
-          );
-        }
-      },
-      'watcher notification'
+    watchers.forEach((watcher) =>
+      this.guard(
+        () => watcher._deliver(),
+        { phase: 'notify', node: watcher, owner: watcher._owner },
+        'watcher notification iteration'
+      )
     );
   }
 }
 
-const defaultSystem = new SignalSystem();
+// Builds a Signal namespace whose classes are bound to the given system
+function createSignalClass(system) {
+  class Signal {
+    constructor() {
+      if (new.target === Signal) {
+        throw new TypeError('Signal is an abstract class and cannot be instantiated directly');
+      }
+      system.registerNode(this);
+    }
 
-class Signal {
-  constructor() {
-    if (new.target === Signal) {
-      throw new TypeError('Signal is an abstract class and cannot be instantiated directly');
+    get() {
+      throw new Error('get() must be implemented by subclass');
     }
-  }
 
-  get() {
-    throw new Error('get() must be implemented by subclass');
-  }
+    // Shared utility methods
+    _initializeLifecycleCallbacks(options) {
+      this._watchedCallbacks = new Set();
+      this._unwatchedCallbacks = new Set();
 
-  // Shared utility methods
-  _initializeLifecycleCallbacks(options) {
-    this._watchedCallbacks = new Set();
-    this._unwatchedCallbacks = new Set();
+      if (options[Signal.subtle.watched]) {
+        this._watchedCallbacks.add(options[Signal.subtle.watched]);
+      }
 
-    if (options[Signal.subtle.watched]) {
-      this._watchedCallbacks.add(options[Signal.subtle.watched]);
+      if (options[Signal.subtle.unwatched]) {
+        this._unwatchedCallbacks.add(options[Signal.subtle.unwatched]);
+      }
     }
 
-    if (options[Signal.subtle.unwatched]) {
-      this._unwatchedCallbacks.add(options[Signal.subtle.unwatched]);
+    _trackDependency() {
+      const computation = system.currentComputation;
+      if (computation) {
+        computation.dependencies.add(this);
+
+        // Only computeds subscribe directly, and only while something observes them;
+        // effects subscribe through their Watcher
+        computation.sourceVersions?.set(this, this._version);
+        if (computation.signal) {
+          if (computation.signal._isLive()) {
+            this._addSink(computation.signal);
+          }
+        }
+      }
     }
-  }
 
-  _trackDependency() {
-    if (defaultSystem.currentComputation) {
-      this._subscribers.add(defaultSystem.currentComputation);
-      defaultSystem.currentComputation.dependencies.add(this);
+    // watched/unwatched fire on the 0→1 and 1→0 sink transitions only
+    _addSink(sink) {
+      if (this._subscribers.has(sink)) return;
 
-      this._watchedCallbacks.forEach((callback) => {
-        this._safeExecuteCallback(callback, 'watched callback');
-      });
+      this._subscribers.add(sink);
+      if (this._subscribers.size === 1) {
+        this._watchedCallbacks.forEach((callback) => {
+          this._safeExecuteCallback(callback, 'watched');
+        });
+      }
     }
-  }
 
-  _clearLifecycleCallbacks() {
-    if (this._subscribers) {
-      this._subscribers.clear();
-    }
-    if (this._watchedCallbacks) {
-      this._watchedCallbacks.clear();
+    _removeSink(sink) {
+      if (!this._subscribers.delete(sink)) return false;
+
+      Signal._triggerUnwatchedCallbacks(this);
+      return true;
     }
-    if (this._unwatchedCallbacks) {
-      this._unwatchedCallbacks.clear();
+
+    _isLive() {
+      return this._subscribers.size > 0;
     }
-  }
 
-  _safeExecuteCallback(callback, context) {
-    ErrorHandler.safeExecute(() => callback.call(this), context);
-  }
+    _clearLifecycleCallbacks() {
+      if (this._subscribers) {
+        this._subscribers.clear();
+      }
+      if (this._watchedCallbacks) {
+        this._watchedCallbacks.clear();
+      }
+      if (this._unwatchedCallbacks) {
+        this._unwatchedCallbacks.clear();
+      }
+    }
 
-  static _triggerUnwatchedCallbacks(signal) {
-    if (
-      signal._subscribers.size === 0 &&
-      signal._unwatchedCallbacks &&
-      signal._unwatchedCallbacks.size > 0
-    ) {
-      ErrorHandler.safeForEach(
-        signal._unwatchedCallbacks,
-        (callback) => callback.call(signal),
-        'unwatched callback'
+    _safeExecuteCallback(callback, phase) {
+      system.guard(
+        () => callback.call(this),
+        { phase, node: this, owner: this._owner },
+        `${phase} callback`
       );
     }
-  }
 
-  static _safeCleanup(cleanupFn, context) {
-    if (cleanupFn && typeof cleanupFn === 'function') {
-      ErrorHandler.safeExecute(cleanupFn, context);
+    static _triggerUnwatchedCallbacks(signal) {
+      if (
+        signal._subscribers.size === 0 &&
+        signal._unwatchedCallbacks &&
+        signal._unwatchedCallbacks.size > 0
+      ) {
+        signal._unwatchedCallbacks.forEach((callback) => {
+          signal._safeExecuteCallback(callback, 'unwatched');
+        });
+      }
     }
-  }
 
-  static State = class State extends Signal {
-    constructor(initialValue, options = {}) {
-      super();
-      this._value = initialValue;
-      this._subscribers = new Set();
-      this._options = options;
-      this._initializeLifecycleCallbacks(options);
-    }
+    static State = class State extends Signal {
+      constructor(initialValue, options = {}) {
+        super();
+        this._value = initialValue;
+        this._version = 0;
+        this._height = 0;
+        this._subscribers = new Set();
+        this._options = options;
+        this._name = options.name;
+        this._initializeLifecycleCallbacks(options);
+
+        if (system.hooks) {
+          system.emit('onSignalCreate', this);
+        }
+      }
 
-    get() {
-      if (this._disposed) {
-        throw new Error('Cannot access disposed signal');
+      get() {
+        if (this._disposed) {
+          throw new Error('Cannot access disposed signal');
+        }
+
+        this._trackDependency();
+        return this._value;
       }
 
-      this._trackDependency();
-      return this._value;
-    }
+      set(newValue) {
+        if (this._disposed) {
+          throw new Error('Cannot set value on disposed signal');
+        }
+
+        const equals = this._options.equals || defaultEquals;
+
+        if (!equals.call(this, this._value, newValue)) {
+          if (system.tracer) {
+            system.tracer.recordChange(this, this._value, newValue);
+          }
+          if (system.currentTransaction) {
+            system.currentTransaction.record(this);
+          }
+
+          const previous = this._value;
+          this._value = newValue;
+          this._version++;
+          system.globalVersion++;
+          if (system.runaway) {
+            system.runaway.writes.add(this);
+          }
+          if (system.hooks) {
+            system.emit('onSet', this, { previous, value: newValue });
+          }
+          system.scheduleUpdate(this);
+        }
+      }
 
-    set(newValue) {
-      if (this._disposed) {
-        throw new Error('Cannot set value on disposed signal');
+      peek() {
+        return this._value;
       }
 
-      const equals = this._options.equals || ((a, b) => a === b);
+      dispose() {
+        if (this._disposed) return;
 
-      if (!equals.call(this, this._value, newValue)) {
-        this._value = newValue;
-        defaultSystem.scheduleUpdate(this._subscribers);
+        this._clearLifecycleCallbacks();
+        this._value = undefined;
+        this._disposed = true;
+        system.unregisterNode(this);
+        if (system.hooks) {
+          system.emit('onDispose', this);
+        }
       }
-    }
+    };
 
-    peek() {
-      return this._value;
-    }
+    static Computed = class Computed extends Signal {
+      constructor(callback, options = {}) {
+        super();
+        this._callback = callback;
+        this._subscribers = new Set();
+        this._dependencies = new Set();
+        this._sourceVersions = new Map();
+        this._computation = { dependencies: null, sourceVersions: null, signal: this };
+        this._options = options;
+        this._name = options.name;
+        this._state = DIRTY;
+        this._version = 0;
+        this._checkedAt = -1;
+        this._height = 1;
+        this._cachedValue = undefined;
+        this._error = undefined;
+        this._hasError = false;
+        this._isComputing = false;
+        this._computingParent = null;
+        this._initializeLifecycleCallbacks(options);
+
+        // Disposed together with the scope it was created in
+        this._owner = system.currentOwner;
+        if (this._owner) {
+          this._ownerCleanup = () => this.dispose();
+          this._owner.add(this._ownerCleanup);
+        }
 
-    dispose() {
-      this._clearLifecycleCallbacks();
-      this._value = undefined;
-      this._disposed = true;
-    }
-  };
+        if (system.hooks) {
+          system.emit('onSignalCreate', this);
+        }
+      }
 
-  static Computed = class Computed extends Signal {
-    constructor(callback, options = {}) {
-      super();
-      this._callback = callback;
-      this._subscribers = new Set();
-      this._dependencies = new Set();
-      this._options = options;
-      this._isStale = true;
-      this._cachedValue = undefined;
-      this._isComputing = false;
-      this._initializeLifecycleCallbacks(options);
-    }
+      get() {
+        if (this._disposed) {
+          throw new Error('Cannot access disposed computed signal');
+        }
+        if (this._isComputing) {
+          throw system.circularDependencyError(this);
+        }
 
-    get() {
-      if (this._disposed) {
-        throw new Error('Cannot access disposed computed signal');
+        this._updateIfNecessary();
+
+        // Track after updating so the recorded source version is the settled one
+        this._trackDependency();
+        return this._readCachedValue();
       }
 
-      this._trackDependency();
+      peek() {
+        if (!this._isComputing) {
+          this._updateIfNecessary();
+        }
+        return this._readCachedValue();
+      }
 
-      if (this._isStale && !this._isComputing) {
-        this._computeValue();
+      // A thrown error is cached like a value and rethrown until a source changes
+      _readCachedValue() {
+        if (this._hasError) {
+          throw this._error;
+        }
+        return this._cachedValue;
       }
 
-      return this._cachedValue;
-    }
+      // A computed is connected to its sources only while it has sinks. Gaining
+      // the first sink settles it (it may have missed changes) and subscribes it
+      // to its sources; losing the last one unsubscribes it again.
+      _addSink(sink) {
+        if (this._subscribers.has(sink)) return;
 
-    peek() {
-      if (this._isStale && !this._isComputing) {
-        ErrorHandler.withContextIsolation(
-          () => {
-            const prev = defaultSystem.currentComputation;
-            defaultSystem.currentComputation = null;
-            return prev;
-          },
-          () => {
-            this._cachedValue = defaultSystem.safeExecute(() => this._callback.call(this));
-            this._isStale = false;
-          },
-          (prevComputation) => {
-            defaultSystem.currentComputation = prevComputation;
+        const connecting = !this._isLive();
+        if (connecting) {
+          if (this._state === CLEAN) {
+            this._updateIfNecessary();
           }
-        );
+          this._dependencies.forEach((dep) => dep._addSink(this));
+        }
+        super._addSink(sink);
+
+        // A source that changed while connecting (say, set by its watched
+        // callback) left this node stale before the sink was attached. A node
+        // that was never computed has no value the sink could have missed.
+        if (connecting && this._state !== CLEAN && this._version > 0) {
+          sink._markStale(CHECK, this);
+        }
       }
-      return this._cachedValue;
-    }
 
-    _computeValue() {
-      if (this._isComputing) {
-        throw new Error('Circular dependency detected in computed signal');
+      _removeSink(sink) {
+        const removed = super._removeSink(sink);
+        if (removed && !this._isLive()) {
+          this._dependencies.forEach((dep) => dep._removeSink(this));
+        }
+        return removed;
       }
 
-      // Check for stack depth before starting computation
-      defaultSystem.computationDepth++;
-      if (defaultSystem.computationDepth > defaultSystem.maxComputationDepth) {
-        defaultSystem.computationDepth--;
-        throw new Error(
-          `Maximum computation depth of ${defaultSystem.maxComputationDepth} exceeded - possible infinite recursion`
-        );
+      _markStale(level, source) {
+        if (system.tracer) {
+          system.tracer.recordPropagation(source, this);
+        }
+        if (this._state >= level) return;
+
+        const wasClean = this._state === CLEAN;
+        this._state = level;
+
+        // Sinks were already marked when this node first left the clean state
+        if (wasClean) {
+          this._subscribers.forEach((sub) => sub._markStale(CHECK, this));
+        }
       }
 
-      // Check for actual circular dependency by looking for this signal in the computation stack
-      const isAlreadyComputing = defaultSystem.computationStack.some(
-        (comp) => comp.signal === this
-      );
-      if (isAlreadyComputing) {
-        defaultSystem.computationDepth--;
-        throw new Error('Circular dependency detected in computed signal');
+      // Pull phase: a CHECK node settles its computed sources in the order they
+      // were read and only recomputes if one of them actually produced a new version
+      _updateIfNecessary() {
+        // Unobserved computeds get no pushes, so a clean one must poll its sources,
+        // unless no State has changed anywhere since it last did
+        if (this._state === CLEAN && !this._isLive() && this._checkedAt !== system.globalVersion) {
+          this._state = CHECK;
+        }
+
+        if (this._state === CHECK) {
+          for (const dep of this._dependencies) {
+            if (dep instanceof Computed) {
+              dep._updateIfNecessary();
+            }
+            if (dep._version !== this._sourceVersions.get(dep)) {
+              this._state = DIRTY;
+              break;
+            }
+          }
+
+          if (this._state === CHECK) {
+            this._state = CLEAN;
+          }
+        }
+
+        if (this._state === DIRTY) {
+          this._computeValue();
+        }
+        this._checkedAt = system.globalVersion;
       }
 
-      this._isComputing = true;
-      const prevComputation = defaultSystem.currentComputation;
-      const oldDependencies = this._dependencies;
-      this._dependencies = new Set();
+      _computeValue() {
+        if (this._isComputing) {
+          throw system.circularDependencyError(this);
+        }
+
+        // Check for stack depth before starting computation
+        system.computationDepth++;
+        if (system.computationDepth > system.maxComputationDepth) {
+          system.computationDepth--;
+          throw new Error(
+            `Maximum computation depth of ${system.maxComputationDepth} exceeded while computing ` +
+              `${system.getDebugName(this)} - possible infinite recursion`
+          );
+        }
 
-      const computation = {
-        dependencies: this._dependencies,
-        signal: this,
-        invalidate: () => {
-          this._isStale = true;
-          defaultSystem.scheduleUpdate(this._subscribers);
-        },
-      };
+        this._isComputing = true;
+        this._computingParent = system.activeComputed;
+        system.activeComputed = this;
+        const prevComputation = system.currentComputation;
+        const prevOwner = system.currentOwner;
+        const oldDependencies = this._dependencies;
+        this._dependencies = new Set();
+        this._sourceVersions = new Map();
+
+        const computation = this._computation;
+        computation.dependencies = this._dependencies;
+        computation.sourceVersions = this._sourceVersions;
+        system.currentComputation = computation;
+        if (system.hooks) {
+          system.emit('onComputeStart', this);
+        }
+        // Clean before the callback runs, so a source that changes while it runs
+        // (say, set by a watched callback) leaves this node stale
+        this._state = CLEAN;
+
+        try {
+          let changed = true;
+          try {
+            // Computed callbacks own nothing; anything they create is unowned
+            system.currentOwner = null;
+            const value = this._callback.call(this);
+            // Reads by equals are not dependencies
+            system.currentComputation = null;
+
+            // An equal result keeps the old value and version, so dependents
+            // checking this node see no change and propagation stops here
+            const equals = this._options.equals || defaultEquals;
+            changed =
+              this._version === 0 || this._hasError || !equals.call(this, this._cachedValue, value);
+
+            if (changed) {
+              this._cachedValue = value;
+            }
+            this._error = undefined;
+            this._hasError = false;
+          } catch (err) {
+            this._cachedValue = undefined;
+            this._error = err;
+            this._hasError = true;
+            system.reportComputeError(err, this);
+          }
+          if (changed) {
+            this._version++;
+          }
 
-      defaultSystem.currentComputation = computation;
-      defaultSystem.computationStack.push(computation);
+          if (system.tracer) {
+            system.tracer.recordRun('recompute', this);
+          }
+          if (system.hooks) {
+            system.emit('onComputeEnd', this, {
+              changed,
+              error: this._hasError ? this._error : undefined,
+            });
+          }
 
-      ErrorHandler.withCleanup(
-        () => {
-          this._cachedValue = defaultSystem.safeExecute(() => this._callback.call(this));
-          this._isStale = false;
+          let height = 0;
+          for (const dep of this._dependencies) {
+            height = Math.max(height, dep._height);
+          }
+          this._height = height + 1;
 
-          oldDependencies.forEach((dep) => {
-            if (!this._dependencies.has(dep)) {
-              defaultSystem.removeSubscriber(dep, computation);
+          if (this._isLive()) {
+            for (const dep of oldDependencies) {
+              if (!this._dependencies.has(dep)) {
+                system.removeSubscriber(dep, this);
+              }
             }
-          });
-        },
-        () => {
-          defaultSystem.currentComputation = prevComputation;
-          defaultSystem.computationStack.pop();
+          }
+        } finally {
+          system.currentComputation = prevComputation;
+          system.currentOwner = prevOwner;
           this._isComputing = false;
-          defaultSystem.computationDepth--;
+          system.activeComputed = this._computingParent;
+          this._computingParent = null;
+          system.computationDepth--;
         }
-      );
-    }
+      }
 
-    dispose() {
-      // Clean up dependencies first
-      this._dependencies.forEach((dep) => defaultSystem.removeSubscriber(dep, this));
-      this._dependencies.clear();
+      dispose() {
+        if (this._disposed) return;
 
-      this._clearLifecycleCallbacks();
+        if (this._owner) {
+          this._owner.remove(this._ownerCleanup);
+        }
 
-      // Clear computation state
-      this._callback = null;
-      this._cachedValue = undefined;
-      this._disposed = true;
-    }
-  };
+        // Clean up dependencies first
+        this._dependencies.forEach((dep) => system.removeSubscriber(dep, this));
+        this._dependencies.clear();
+        this._sourceVersions.clear();
+
+        this._clearLifecycleCallbacks();
+
+        // Clear computation state
+        this._callback = null;
+        this._cachedValue = undefined;
+        this._error = undefined;
+        this._hasError = false;
+        this._disposed = true;
+        system.unregisterNode(this);
+        if (system.hooks) {
+          system.emit('onDispose', this);
+        }
+      }
+    };
 
-  static subtle = {
-    watched: Symbol('Signal.subtle.watched'),
-    unwatched: Symbol('Signal.subtle.unwatched'),
-
-    Watcher: class Watcher {
-      constructor(notify) {
-        this._notify = notify;
-        this._watchedSignals = new Set();
-        this._pendingSignals = new Set();
-        this._isNotifying = false;
-      }
-
-      watch(...signals) {
-        signals.forEach((signal) => {
-          if (!this._watchedSignals.has(signal)) {
-            this._watchedSignals.add(signal);
-
-            // Add this watcher as a subscriber to the signal
-            if (signal._subscribers) {
-              const watcherCallback = () => {
-                this._pendingSignals.add(signal);
-                if (!this._isNotifying) {
-                  defaultSystem.scheduleWatcherNotification(this);
-                }
-              };
-              watcherCallback._watcher = this;
-              signal._subscribers.add(watcherCallback);
+    static subtle = {
+      watched: Symbol('Signal.subtle.watched'),
+      unwatched: Symbol('Signal.subtle.unwatched'),
+
+      Watcher: class Watcher {
+        constructor(notify, options = {}) {
+          this._notify = notify;
+          this._name = options.name;
+          this._watchedSignals = new Set();
+          this._pendingSignals = new Set();
+          this._isNotifying = false;
+          this._flushHeight = 0;
+          // Errors from notify go to the onError handlers of the scope it was created in
+          this._owner = system.currentOwner;
+
+          // Set by effect() to deliver through an effect scheduler instead of the watcher queue
+          this._scheduler = null;
+          this._deliverJob = () => {
+            try {
+              this._deliver();
+            } catch (err) {
+              system.reportError(
+                err,
+                { phase: 'notify', node: this, owner: this._owner },
+                'scheduled effect iteration'
+              );
             }
+          };
+          this._isEffect = options[effectWatcher] === true;
+
+          system.registerNode(this);
+          if (system.hooks) {
+            system.emit('onSignalCreate', this);
           }
-        });
-      }
+        }
 
-      unwatch(...signals) {
-        signals.forEach((signal) => {
-          if (this._watchedSignals.has(signal)) {
-            this._watchedSignals.delete(signal);
-            this._pendingSignals.delete(signal);
-
-            // Remove this watcher from signal's subscribers
-            if (signal._subscribers) {
-              for (const subscriber of signal._subscribers) {
-                if (subscriber._watcher === this) {
-                  signal._subscribers.delete(subscriber);
-                  Signal._triggerUnwatchedCallbacks(signal);
-                  break;
-                }
-              }
+        watch(...signals) {
+          signals.forEach((signal) => {
+            if (!(signal instanceof Signal)) {
+              throw new TypeError('Watcher can only watch Signal.State or Signal.Computed');
             }
+
+            if (!this._watchedSignals.has(signal)) {
+              this._watchedSignals.add(signal);
+
+              // The watcher itself is the sink; it learns which signal changed from _markStale
+              signal._addSink(this);
+            }
+          });
+
+          // Watching can change a source (a watched callback may set it); run
+          // the resulting update now, like any other write
+          if (this._pendingSignals.size > 0) {
+            system.flushUpdates();
           }
-        });
-      }
+        }
 
-      getPending() {
-        return Array.from(this._pendingSignals);
-      }
-    },
+        unwatch(...signals) {
+          signals.forEach((signal) => {
+            if (this._watchedSignals.has(signal)) {
+              this._watchedSignals.delete(signal);
+              this._pendingSignals.delete(signal);
 
-    untrack(callback) {
-      return ErrorHandler.withContextIsolation(
-        () => {
-          const prev = defaultSystem.currentComputation;
-          defaultSystem.currentComputation = null;
-          return prev;
-        },
-        callback,
-        (prevComputation) => {
-          defaultSystem.currentComputation = prevComputation;
+              // Remove this watcher from signal's subscribers
+              signal._removeSink(this);
+            }
+          });
         }
-      );
-    },
 
-    currentComputed() {
-      return defaultSystem.currentComputation;
-    },
+        getPending() {
+          return Array.from(this._pendingSignals);
+        }
 
-    introspectSources(signal) {
-      if (signal instanceof Signal.Computed) {
-        return Array.from(signal._dependencies);
-      }
-      return [];
-    },
+        _markStale(level, source) {
+          if (system.tracer) {
+            system.tracer.recordPropagation(source, this);
+          }
+          this._pendingSignals.add(source);
+          system.updateQueue.add(this);
+        }
 
-    introspectSinks(signal) {
-      if (signal._subscribers) {
-        return Array.from(signal._subscribers)
-          .map((sub) => {
-            if (sub.invalidate) {
-              return defaultSystem.computationStack.find(
-                (comp) => comp.invalidate === sub.invalidate
-              );
+        _getHeight() {
+          let height = 0;
+          for (const signal of this._watchedSignals) {
+            height = Math.max(height, signal._height || 0);
+          }
+          return height + 1;
+        }
+
+        _run() {
+          if (this._isNotifying) return;
+
+          if (this._scheduler) {
+            this._scheduler.schedule(this._deliverJob);
+          } else {
+            system.scheduleWatcherNotification(this);
+          }
+        }
+
+        _deliver() {
+          if (this._pendingSignals.size > 0 && !this._isNotifying) {
+            try {
+              this._isNotifying = true;
+              if (system.runaway) {
+                system.runaway.reactions.add(this);
+              }
+              if (system.tracer && !this._isEffect) {
+                system.tracer.recordRun('notify', this);
+              }
+              this._notify();
+            } finally {
+              this._pendingSignals = new Set();
+              this._isNotifying = false;
             }
-            return sub;
-          })
-          .filter(Boolean);
-      }
-      return [];
-    },
-  };
-}
+          }
+        }
+      },
+
+      untrack(callback) {
+        const prevComputation = system.currentComputation;
+        system.currentComputation = null;
+        try {
+          return callback();
+        } finally {
+          system.currentComputation = prevComputation;
+        }
+      },
+
+      currentComputed() {
+        return system.currentComputation;
+      },
 
-function batch(fn) {
-  return defaultSystem.batch(fn);
+      introspectSources(signal) {
+        if (signal instanceof Signal.Computed) {
+          return Array.from(signal._dependencies);
+        }
+        if (signal instanceof Signal.subtle.Watcher) {
+          return Array.from(signal._watchedSignals);
+        }
+        return [];
+      },
+
+      introspectSinks(signal) {
+        if (signal._subscribers) {
+          return Array.from(signal._subscribers);
+        }
+        return [];
+      },
+
+      hasSources(signal) {
+        return Signal.subtle.introspectSources(signal).length > 0;
+      },
+
+      hasSinks(signal) {
+        return Boolean(signal._subscribers) && signal._subscribers.size > 0;
+      },
+
+      // True when some Watcher (directly or through computeds) depends on the signal
+      isWatched(signal) {
+        const visited = new Set();
+        const stack = [signal];
+
+        while (stack.length > 0) {
+          const node = stack.pop();
+          if (visited.has(node)) continue;
+          visited.add(node);
+
+          if (node instanceof Signal.subtle.Watcher) return true;
+          if (node._subscribers) {
+            node._subscribers.forEach((sink) => stack.push(sink));
+          }
+        }
+        return false;
+      },
+    };
+  }
+
+  system.Signal = Signal;
+  return Signal;
 }
 
-function effect(fn) {
-  let cleanup = null;
+function createEffect(system, fn, options = {}) {
   let isActive = true;
   let dependencies = new Set();
-
-  const watcher = new Signal.subtle.Watcher(() => {
-    if (isActive) {
-      runEffect();
+  let sourceVersions = new Map();
+  // Reused by every run, which hands it a fresh set and map: cheaper than clear()
+  const computation = { dependencies, sourceVersions };
+
+  // Owns the returned cleanup, onCleanup hooks and anything created during a run;
+  // reset before every rerun so nested effects and computeds never outlive it
+  const parentOwner = system.currentOwner;
+  const owner = new Owner(system, parentOwner, 'effect cleanup');
+
+  const watcher = new system.Signal.subtle.Watcher(
+    () => {
+      if (isActive && sourcesChanged()) {
+        runEffect();
+      }
+    },
+    { name: options.name, [effectWatcher]: true }
+  );
+  watcher._scheduler = system.resolveScheduler(options.scheduler);
+  watcher._owner = owner;
+  owner.node = watcher;
+
+  // A notification only means a source may have changed: computeds that
+  // recomputed to an equal value keep their version, and then there is
+  // nothing new for the effect to see
+  function sourcesChanged() {
+    for (const [dep, version] of sourceVersions) {
+      if (dep instanceof system.Signal.Computed) {
+        dep._updateIfNecessary();
+      }
+      if (dep._version !== version) {
+        return true;
+      }
     }
-  });
+    return false;
+  }
 
   function runEffect() {
-    // Clean up previous run
-    Signal._safeCleanup(cleanup, 'effect cleanup');
-    cleanup = null;
-
-    // Unwatch old dependencies
-    if (dependencies.size > 0) {
-      watcher.unwatch(...Array.from(dependencies));
+    if (system.tracer) {
+      system.tracer.recordRun('effect', watcher);
+    }
+    if (system.hooks) {
+      system.emit('onEffectRun', watcher);
     }
-    dependencies.clear();
 
-    // Track new dependencies
-    const prevComputation = defaultSystem.currentComputation;
-    const computation = {
-      dependencies,
-      invalidate: () => {}, // Effects don't need invalidation
-    };
-    defaultSystem.currentComputation = computation;
-
-    ErrorHandler.withCleanup(
-      () => {
-        ErrorHandler.safeExecute(() => {
-          const result = fn();
-          if (typeof result === 'function') {
-            cleanup = result;
-          }
-        }, 'effect');
+    // Clean up previous run
+    owner.reset();
+
+    // Track new dependencies; old ones stay watched until the run completes so
+    // signals read on every run never see a spurious unwatched/watched pair
+    const oldDependencies = dependencies;
+    dependencies = new Set();
+    sourceVersions = new Map();
+    const prevComputation = system.currentComputation;
+    // Subscribed to through the watcher once the run completes
+    computation.dependencies = dependencies;
+    computation.sourceVersions = sourceVersions;
+    system.currentComputation = computation;
 
-        // Watch all accessed signals
-        if (dependencies.size > 0) {
-          watcher.watch(...Array.from(dependencies));
+    try {
+      try {
+        const result = system.withOwner(owner, fn);
+        if (typeof result === 'function') {
+          owner.add(result);
+        }
+      } catch (err) {
+        // Signals read before the throw stay tracked, so the effect reruns on recovery
+        if (options.onError) {
+          system.guard(
+            () => options.onError(err),
+            { phase: 'error handler', node: watcher, owner: parentOwner },
+            'effect error handler'
+          );
+        } else {
+          system.reportError(err, { phase: 'effect', node: watcher, owner }, 'effect');
         }
-      },
-      () => {
-        defaultSystem.currentComputation = prevComputation;
       }
-    );
+
+      // Watch newly accessed signals and release the ones no longer read. An
+      // update this causes waits until both are done, as it may rerun the effect
+      if (dependenciesMoved(oldDependencies)) {
+        system.batch(() => {
+          dependencies.forEach((dep) => {
+            if (!oldDependencies.has(dep)) watcher.watch(dep);
+          });
+          oldDependencies.forEach((dep) => {
+            if (!dependencies.has(dep)) watcher.unwatch(dep);
+          });
+        });
+      }
+    } finally {
+      system.currentComputation = prevComputation;
+    }
+  }
+
+  // Most runs read the same signals as the last one, with nothing to re-watch
+  function dependenciesMoved(oldDependencies) {
+    if (dependencies.size !== oldDependencies.size) return true;
+    for (const dep of dependencies) {
+      if (!oldDependencies.has(dep)) return true;
+    }
+    return false;
   }
 
   // Initial run
   runEffect();
 
   // Return disposal function
-  return () => {
+  const dispose = () => {
+    if (!isActive) return;
     isActive = false;
-    Signal._safeCleanup(cleanup, 'effect cleanup');
+    owner.dispose();
     if (dependencies.size > 0) {
       watcher.unwatch(...Array.from(dependencies));
     }
     dependencies.clear();
+    watcher._disposed = true;
+    system.unregisterNode(watcher);
+    if (system.hooks) {
+      system.emit('onDispose', watcher);
+    }
+
+    if (parentOwner) {
+      parentOwner.remove(dispose);
+    }
+  };
+
+  if (parentOwner) {
+    parentOwner.add(dispose);
+  }
+
+  return dispose;
+}
+
+// Factory for isolated reactive graphs; each system owns its own flush state,
+// computation stack and watcher queue. options.maxComputationDepth and
+// options.maxFlushes set its limits (100 and 1000 by default). The result
+// is what extension modules take as `options.system`.
+function createSignalSystem(options) {
+  const engine = new SignalSystem(options);
+  const Signal = createSignalClass(engine);
+  return {
+    Signal,
+    batch: (fn) => engine.batch(fn),
+    transaction: (fn) => engine.transaction(fn),
+    effect: (fn, options) => createEffect(engine, fn, options),
+    flushSync: () => engine.flushSync(),
+    createRoot: (fn) => engine.createRoot(fn),
+    onCleanup: (cleanup) => engine.onCleanup(cleanup),
+    onError: (handler) => engine.onError(handler),
+    instrument: (listener) => engine.instrument(listener),
+    tracing: {
+      enable: (options) => engine.enableTracing(options),
+      disable: () => engine.disableTracing(),
+      getRecords: (target) => engine.getTrace(target),
+      print: (target) => engine.printTrace(target),
+      clear: () => engine.clearTrace(),
+    },
+    // The SignalSystem behind this namespace, for the extension modules
+    engine,
   };
 }
 
-export { Signal, batch, effect };
+const defaultSystem = createSignalSystem();
+const Signal = defaultSystem.Signal;
+const batch = defaultSystem.batch;
+const transaction = defaultSystem.transaction;
+const effect = defaultSystem.effect;
+const flushSync = defaultSystem.flushSync;
+const createRoot = defaultSystem.createRoot;
+const onCleanup = defaultSystem.onCleanup;
+const onError = defaultSystem.onError;
+const instrument = defaultSystem.instrument;
+const tracing = defaultSystem.tracing;
+
+export {
+  Signal,
+  batch,
+  transaction,
+  effect,
+  flushSync,
+  createRoot,
+  onCleanup,
+  onError,
+  instrument,
+  tracing,
+  shallowEqual,
+  shallowArrayEqual,
+  deepEqual,
+  summarizeValue,
+  createSignalSystem,
+  SignalSystem,
+  defaultSystem,
+};
 
 if (typeof window !== 'undefined') {
   window.Signal = Signal;
   window.batch = batch;
+  window.transaction = transaction;
   window.effect = effect;
+  window.flushSync = flushSync;
+  window.createRoot = createRoot;
+  window.onCleanup = onCleanup;
+  window.onError = onError;
+  window.instrument = instrument;
+  window.tracing = tracing;
+  window.createSignalSystem = createSignalSystem;
 }
@@ -1,5 +1,17 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { Signal, batch, effect } from './signals_tc39.js';
+import {
+  Signal,
+  batch,
+  transaction,
+  effect,
+  flushSync,
+  createRoot,
+  onCleanup,
+  createSignalSystem,
+  shallowEqual,
+  shallowArrayEqual,
+  deepEqual,
+} from './signals_tc39.js';
 
 describe('Signal.State', () => {
   describe('basic functionality', () => {
@@ -86,13 +98,14 @@ describe('Signal.State', () => {
   });
 
   describe('lifecycle callbacks', () => {
-    it('should call watched callback when signal is accessed', () => {
+    it('should call watched callback when signal is observed', () => {
       const watchedSpy = vi.fn();
       const state = new Signal.State(10, {
         [Signal.subtle.watched]: watchedSpy,
       });
 
       const computed = new Signal.Computed(() => state.get());
+      new Signal.subtle.Watcher(() => {}).watch(computed);
       computed.get();
 
       expect(watchedSpy).toHaveBeenCalledTimes(1);
@@ -107,10 +120,16 @@ describe('Signal.State', () => {
       });
 
       const computed = new Signal.Computed(() => state.get());
+      const watcher = new Signal.subtle.Watcher(() => {});
+      watcher.watch(computed);
       computed.get(); // Should trigger watched
 
       expect(watchedSpy).toHaveBeenCalled();
       expect(state._subscribers.size).toBeGreaterThan(0);
+
+      watcher.unwatch(computed);
+      expect(unwatchedSpy).toHaveBeenCalled();
+      expect(state._subscribers.size).toBe(0);
     });
   });
 
@@ -190,6 +209,16 @@ describe('Signal.Computed', () => {
   });
 
   describe('circular dependency detection', () => {
+    let consoleSpy;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleSpy.mockRestore();
+    });
+
     it('should prevent recursion during computation', () => {
       let computed;
       computed = new Signal.Computed(() => {
@@ -228,6 +257,46 @@ describe('Signal.Computed', () => {
 
       expect(() => computeds[104].get()).toThrow(/Maximum computation depth.*exceeded/);
     });
+
+    it('should name every computed on the cycle, including reads under untrack', () => {
+      let total;
+      const subtotal = new Signal.Computed(() => total.get() - 1, { name: 'subtotal' });
+      const tax = new Signal.Computed(() => subtotal.get() * 0.2);
+      total = new Signal.Computed(() => Signal.subtle.untrack(() => tax.get()), {
+        name: 'total',
+      });
+
+      let error;
+      try {
+        subtotal.get();
+      } catch (err) {
+        error = err;
+      }
+
+      const taxName = `computed#${tax._id}`;
+      expect(error.message).toBe(
+        `Circular dependency detected in computed signal: subtotal → total → ${taxName} → subtotal`
+      );
+      expect(error.path).toEqual(['subtotal', 'total', taxName, 'subtotal']);
+    });
+
+    it('should use the maxComputationDepth of its system', () => {
+      const shallow = createSignalSystem({ maxComputationDepth: 3 });
+      const chain = [new shallow.Signal.State(0)];
+      for (let i = 1; i <= 4; i++) {
+        const previous = chain[i - 1];
+        chain.push(new shallow.Signal.Computed(() => previous.get() + 1, { name: `level${i}` }));
+      }
+
+      expect(() => chain[4].get()).toThrow(
+        'Maximum computation depth of 3 exceeded while computing level1'
+      );
+    });
+
+    it('should reject limits that are not positive integers', () => {
+      expect(() => createSignalSystem({ maxComputationDepth: 0 })).toThrow(RangeError);
+      expect(() => createSignalSystem({ maxFlushes: 1.5 })).toThrow(RangeError);
+    });
   });
 
   describe('dependency cleanup', () => {
@@ -253,6 +322,167 @@ describe('Signal.Computed', () => {
     });
   });
 
+  describe('equality', () => {
+    it('should not recompute dependents when a computed produces an equal value', () => {
+      const count = new Signal.State(1);
+      const isPositive = new Signal.Computed(() => count.get() > 0);
+      const labelSpy = vi.fn(() => (isPositive.get() ? 'positive' : 'not positive'));
+      const label = new Signal.Computed(labelSpy);
+
+      expect(label.get()).toBe('positive');
+      count.set(2);
+      expect(label.get()).toBe('positive');
+      expect(labelSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not rerun effects when a custom equals finds the value unchanged', () => {
+      const threads = new Signal.State([{ id: 1, unread: 0 }]);
+      const unreadIds = new Signal.Computed(
+        () =>
+          threads
+            .get()
+            .filter((thread) => thread.unread > 0)
+            .map((thread) => thread.id),
+        { equals: shallowArrayEqual }
+      );
+      const spy = vi.fn(() => unreadIds.get());
+      const dispose = effect(spy, { scheduler: 'sync' });
+
+      threads.set([{ id: 1, unread: 0 }]);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      threads.set([{ id: 1, unread: 2 }]);
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith([1]);
+      dispose();
+    });
+
+    it('should keep the previous value when equal', () => {
+      const source = new Signal.State({ a: 1 });
+      const copy = new Signal.Computed(() => ({ ...source.get() }), { equals: shallowEqual });
+
+      const first = copy.get();
+      source.set({ a: 1 });
+
+      expect(copy.get()).toBe(first);
+    });
+
+    it('should propagate a recovery from an error even if the value matches', () => {
+      const fail = new Signal.State(false);
+      const value = new Signal.Computed(() => {
+        if (fail.get()) throw new Error('Boom');
+        return 1;
+      });
+      const spy = vi.fn(() => {
+        try {
+          return value.get();
+        } catch {
+          return 'error';
+        }
+      });
+      const dispose = effect(spy, { scheduler: 'sync' });
+
+      fail.set(true);
+      fail.set(false);
+
+      expect(spy.mock.results.map((result) => result.value)).toEqual([1, 'error', 1]);
+      dispose();
+    });
+
+    it('should not track signals read by equals', () => {
+      const source = new Signal.State(1);
+      const tolerance = new Signal.State(0);
+      const computed = new Signal.Computed(() => source.get(), {
+        equals: (a, b) => Math.abs(a - b) <= tolerance.get(),
+      });
+
+      computed.get();
+      source.set(2);
+      computed.get();
+
+      expect(Signal.subtle.introspectSources(computed)).toEqual([source]);
+    });
+  });
+
+  describe('unobserved computeds', () => {
+    it('should not subscribe to sources when read outside any observer', () => {
+      const state = new Signal.State(1);
+      const computed = new Signal.Computed(() => state.get() * 2);
+
+      expect(computed.get()).toBe(2);
+      expect(state._subscribers.size).toBe(0);
+
+      state.set(2);
+      expect(computed.get()).toBe(4);
+    });
+
+    it('should skip recomputing when no state changed since the last read', () => {
+      const state = new Signal.State(1);
+      const spy = vi.fn(() => state.get());
+      const computed = new Signal.Computed(spy);
+
+      computed.get();
+      computed.get();
+      new Signal.State(0).get();
+      computed.get();
+
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the whole chain once the last effect is disposed', () => {
+      const threads = new Signal.State([{ id: 1, messages: ['hi'] }]);
+      const perThread = [1].map(
+        (id) =>
+          new Signal.Computed(
+            () => threads.get().find((thread) => thread.id === id).messages.length
+          )
+      );
+      const total = new Signal.Computed(() => perThread.reduce((sum, c) => sum + c.get(), 0));
+
+      const dispose = effect(() => total.get());
+      expect(threads._subscribers.size).toBe(1);
+      expect(perThread[0]._subscribers.size).toBe(1);
+
+      dispose();
+      expect(total._subscribers.size).toBe(0);
+      expect(perThread[0]._subscribers.size).toBe(0);
+      expect(threads._subscribers.size).toBe(0);
+    });
+
+    it('should release sources when a watcher unwatches a computed', () => {
+      const state = new Signal.State(1);
+      const computed = new Signal.Computed(() => state.get());
+      const watcher = new Signal.subtle.Watcher(() => {});
+
+      watcher.watch(computed);
+      computed.get();
+      expect(Signal.subtle.isWatched(state)).toBe(true);
+
+      watcher.unwatch(computed);
+      expect(Signal.subtle.hasSinks(state)).toBe(false);
+      expect(Signal.subtle.hasSinks(computed)).toBe(false);
+    });
+
+    it('should catch up on missed changes when observed again', async () => {
+      const state = new Signal.State(1);
+      const computed = new Signal.Computed(() => state.get() * 10);
+      const seen = [];
+
+      const disposeFirst = effect(() => seen.push(computed.get()));
+      disposeFirst();
+
+      state.set(2);
+      expect(state._subscribers.size).toBe(0);
+
+      const disposeSecond = effect(() => seen.push(computed.get()));
+      state.set(3);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(seen).toEqual([10, 20, 30]);
+      disposeSecond();
+    });
+  });
+
   describe('disposal', () => {
     it('should throw when accessing disposed computed signal', () => {
       const state = new Signal.State(10);
@@ -265,6 +495,7 @@ describe('Signal.Computed', () => {
     it('should clean up dependencies on disposal', () => {
       const state = new Signal.State(10);
       const computed = new Signal.Computed(() => state.get() * 2);
+      new Signal.subtle.Watcher(() => {}).watch(computed);
 
       computed.get(); // Create dependency
       expect(state._subscribers.size).toBeGreaterThan(0);
@@ -276,6 +507,80 @@ describe('Signal.Computed', () => {
   });
 });
 
+describe('runaway flush detection', () => {
+  let consoleSpy;
+
+  beforeEach(() => {
+    consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  // Two effects that each write what the other reads never settle
+  const createPingPong = (system, scheduler) => {
+    const ping = new system.Signal.State(0, { name: 'ping' });
+    const pong = new system.Signal.State(0, { name: 'pong' });
+    const disposers = [
+      system.effect(() => pong.set(ping.get() + 1), { name: 'pingToPong', scheduler }),
+      system.effect(() => ping.set(pong.get() + 1), { name: 'pongToPing', scheduler }),
+    ];
+    return { ping, dispose: () => disposers.forEach((dispose) => dispose()) };
+  };
+
+  it('should stop after maxFlushes passes and name what kept re-triggering', () => {
+    const system = createSignalSystem({ maxFlushes: 20 });
+    const handler = vi.fn();
+    system.onError(handler);
+    const { ping, dispose } = createPingPong(system, 'sync');
+
+    ping.set(100);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    const [error, context] = handler.mock.calls[0];
+    expect(context.phase).toBe('flush');
+    expect(error.message).toMatch(/^Maximum flush iterations \(20\) reached/);
+    expect(error.signals.sort()).toEqual(['ping', 'pong']);
+    expect(error.reactions.sort()).toEqual(['pingToPong', 'pongToPing']);
+    expect(system.engine.runaway).toBe(null);
+    dispose();
+  });
+
+  it('should report a loop that flushSync cannot finish', () => {
+    const system = createSignalSystem({ maxFlushes: 20 });
+    const { dispose } = createPingPong(system, 'microtask');
+
+    system.flushSync();
+    dispose();
+
+    expect(consoleSpy).toHaveBeenCalledTimes(1);
+    const [label, error] = consoleSpy.mock.calls[0];
+    expect(label).toBe('Error in flush:');
+    expect(error.message).toContain('kept writing: ');
+    expect(error.reactions.sort()).toEqual(['pingToPong', 'pongToPing']);
+  });
+
+  it('should stop a loop of scheduled effects that nothing flushes synchronously', async () => {
+    const system = createSignalSystem({ maxFlushes: 20 });
+    const handler = vi.fn();
+    system.onError(handler);
+    const { dispose } = createPingPong(system, 'microtask');
+
+    // Runs after every microtask, so only once the loop has stopped
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    const [error, context] = handler.mock.calls[0];
+    expect(context.phase).toBe('flush');
+    expect(error.message).toMatch(/^Maximum flush iterations \(20\) reached/);
+    expect(error.signals.sort()).toEqual(['ping', 'pong']);
+    expect(error.reactions.sort()).toEqual(['pingToPong', 'pongToPing']);
+    expect(system.engine.runaway).toBe(null);
+    dispose();
+  });
+});
+
 describe('effect', () => {
   describe('basic functionality', () => {
     it('should run effect immediately', () => {
@@ -373,6 +678,282 @@ describe('effect', () => {
   });
 });
 
+describe('effect schedulers', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should rerun sync effects before set() returns', () => {
+    const state = new Signal.State(1);
+    const seen = [];
+
+    const dispose = effect(() => seen.push(state.get()), { scheduler: 'sync' });
+    state.set(2);
+    state.set(3);
+
+    expect(seen).toEqual([1, 2, 3]);
+    dispose();
+  });
+
+  it('should run sync effects once at the end of a batch', () => {
+    const a = new Signal.State(1);
+    const b = new Signal.State(1);
+    const spy = vi.fn(() => a.get() + b.get());
+
+    const dispose = effect(spy, { scheduler: 'sync' });
+    batch(() => {
+      a.set(2);
+      b.set(2);
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    dispose();
+  });
+
+  it('should coalesce animation frame effects into one frame', () => {
+    vi.useFakeTimers();
+    const frames = [];
+    vi.stubGlobal('requestAnimationFrame', (callback) => frames.push(callback));
+
+    const isolated = createSignalSystem();
+    const state = new isolated.Signal.State(0);
+    const first = vi.fn(() => state.get());
+    const second = vi.fn(() => state.get());
+
+    isolated.effect(first, { scheduler: 'animationFrame' });
+    isolated.effect(second, { scheduler: 'animationFrame' });
+
+    state.set(1);
+    state.set(2);
+    vi.runAllTimers();
+    expect(frames).toHaveLength(1);
+    expect(first).toHaveBeenCalledTimes(1);
+
+    frames[0]();
+    expect(first).toHaveBeenCalledTimes(2);
+    expect(second).toHaveBeenCalledTimes(2);
+
+    vi.unstubAllGlobals();
+  });
+
+  it('should fall back to timers for idle effects without requestIdleCallback', () => {
+    vi.useFakeTimers();
+    const isolated = createSignalSystem();
+    const state = new isolated.Signal.State(0);
+    const spy = vi.fn(() => state.get());
+
+    isolated.effect(spy, { scheduler: 'idle' });
+    state.set(1);
+    vi.runAllTimers();
+
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('should accept a custom requestFlush hook', () => {
+    const pending = [];
+    const custom = (flush) => pending.push(flush);
+    const state = new Signal.State(0);
+    const spy = vi.fn(() => state.get());
+
+    const dispose = effect(spy, { scheduler: custom });
+    state.set(1);
+    state.set(2);
+    expect(pending).toHaveLength(1);
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    pending[0]();
+    expect(spy).toHaveBeenCalledTimes(2);
+
+    state.set(3);
+    flushSync();
+    expect(spy).toHaveBeenCalledTimes(3);
+    dispose();
+  });
+
+  it('should share one flush between effects with the same hook and forget flushed hooks', () => {
+    const isolated = createSignalSystem();
+    const pending = [];
+    const shared = (flush) => pending.push(flush);
+    const state = new isolated.Signal.State(0);
+    const disposers = [
+      isolated.effect(() => state.get(), { scheduler: shared }),
+      isolated.effect(() => state.get(), { scheduler: shared }),
+      isolated.effect(() => state.get(), { scheduler: (flush) => setTimeout(flush) }),
+    ];
+
+    state.set(1);
+    expect(pending).toHaveLength(1);
+    expect(isolated.engine.queuedCustomSchedulers.size).toBe(2);
+
+    isolated.flushSync();
+    expect(isolated.engine.queuedCustomSchedulers.size).toBe(0);
+    disposers.forEach((dispose) => dispose());
+  });
+
+  it('should reject unknown scheduler names', () => {
+    expect(() => effect(() => {}, { scheduler: 'later' })).toThrow('Unknown effect scheduler');
+  });
+
+  it('should drain every scheduler deterministically with flushSync', () => {
+    const state = new Signal.State(0);
+    const seen = [];
+
+    const disposers = ['microtask', 'animationFrame', 'idle'].map((scheduler) =>
+      effect(() => seen.push(`${scheduler}:${state.get()}`), { scheduler })
+    );
+    seen.length = 0;
+
+    state.set(1);
+    flushSync();
+
+    expect(seen).toEqual(['microtask:1', 'animationFrame:1', 'idle:1']);
+    disposers.forEach((dispose) => dispose());
+  });
+
+  it('should flush effects queued by other effects in flushSync', () => {
+    const source = new Signal.State(0);
+    const derived = new Signal.State(0);
+    const seen = [];
+
+    const disposeCopy = effect(() => derived.set(source.get() * 10));
+    const disposeLog = effect(() => seen.push(derived.get()));
+
+    source.set(1);
+    flushSync();
+
+    expect(seen).toEqual([0, 10]);
+    disposeCopy();
+    disposeLog();
+  });
+});
+
+describe('ownership', () => {
+  it('should dispose effects and computeds created inside a root', () => {
+    const state = new Signal.State(1);
+    const spy = vi.fn(() => state.get());
+    let computed;
+
+    const dispose = createRoot((disposeRoot) => {
+      computed = new Signal.Computed(() => state.get() * 2);
+      effect(spy, { scheduler: 'sync' });
+      return disposeRoot;
+    });
+
+    expect(computed.get()).toBe(2);
+    dispose();
+
+    state.set(2);
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(() => computed.get()).toThrow('Cannot access disposed computed signal');
+    expect(state._subscribers.size).toBe(0);
+  });
+
+  it('should return the result of the root function', () => {
+    expect(createRoot(() => 'root result')).toBe('root result');
+  });
+
+  it('should dispose nested effects when the parent effect reruns', () => {
+    const outer = new Signal.State(0);
+    const inner = new Signal.State(0);
+    const innerRuns = [];
+
+    const dispose = effect(
+      () => {
+        const generation = outer.get();
+        effect(() => innerRuns.push(`${generation}:${inner.get()}`), { scheduler: 'sync' });
+      },
+      { scheduler: 'sync' }
+    );
+
+    outer.set(1);
+    inner.set(1);
+
+    // Only the inner effect from the latest outer run is still alive
+    expect(innerRuns).toEqual(['0:0', '1:0', '1:1']);
+
+    dispose();
+    inner.set(2);
+    expect(innerRuns).toHaveLength(3);
+  });
+
+  it('should run onCleanup hooks before reruns and on disposal', () => {
+    const state = new Signal.State(0);
+    const log = [];
+
+    const dispose = effect(
+      () => {
+        const value = state.get();
+        onCleanup(() => log.push(`cleanup ${value}`));
+        log.push(`run ${value}`);
+      },
+      { scheduler: 'sync' }
+    );
+
+    state.set(1);
+    dispose();
+
+    expect(log).toEqual(['run 0', 'cleanup 0', 'run 1', 'cleanup 1']);
+  });
+
+  it('should tear down the whole subtree when the root is disposed', () => {
+    const log = [];
+
+    const dispose = createRoot((disposeRoot) => {
+      onCleanup(() => log.push('root'));
+      effect(() => {
+        onCleanup(() => log.push('parent'));
+        effect(() => {
+          onCleanup(() => log.push('child'));
+        });
+      });
+      return disposeRoot;
+    });
+
+    dispose();
+    expect(log).toEqual(['child', 'parent', 'root']);
+  });
+
+  it('should not dispose a root with the scope it was created in', () => {
+    const state = new Signal.State(0);
+    const spy = vi.fn(() => state.get());
+    let disposeInner;
+
+    const disposeOuter = createRoot((dispose) => {
+      disposeInner = createRoot((innerDispose) => {
+        effect(spy, { scheduler: 'sync' });
+        return innerDispose;
+      });
+      return dispose;
+    });
+
+    disposeOuter();
+    state.set(1);
+    expect(spy).toHaveBeenCalledTimes(2);
+
+    disposeInner();
+    state.set(2);
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('should release a manually disposed effect from its owner', () => {
+    const dispose = createRoot((disposeRoot) => {
+      const disposeEffect = effect(() => {});
+      disposeEffect();
+      return disposeRoot;
+    });
+
+    expect(() => dispose()).not.toThrow();
+  });
+
+  it('should warn when onCleanup is called outside of a scope', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    onCleanup(() => {});
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});
+
 describe('batch', () => {
   it('should batch multiple signal updates', () => {
     const state1 = new Signal.State(10);
@@ -420,6 +1001,140 @@ describe('batch', () => {
   });
 });
 
+describe('transaction', () => {
+  it('should apply writes together when the callback returns', () => {
+    const first = new Signal.State(1);
+    const second = new Signal.State(2);
+    const spy = vi.fn(() => first.get() + second.get());
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    const result = transaction(() => {
+      first.set(10);
+      second.set(20);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveLastReturnedWith(30);
+    dispose();
+  });
+
+  it('should roll back every write and rethrow when the callback throws', () => {
+    const threadId = new Signal.State(1);
+    const unread = new Signal.State(3);
+    const error = new Error('failed halfway');
+
+    expect(() =>
+      transaction(() => {
+        threadId.set(2);
+        unread.set(0);
+        throw error;
+      })
+    ).toThrow(error);
+
+    expect(threadId.get()).toBe(1);
+    expect(unread.get()).toBe(3);
+  });
+
+  it('should not notify dependents of rolled back writes', () => {
+    const state = new Signal.State(1);
+    const doubled = new Signal.Computed(() => state.get() * 2);
+    const spy = vi.fn(() => doubled.get());
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    expect(() =>
+      transaction(() => {
+        state.set(2);
+        throw new Error('boom');
+      })
+    ).toThrow('boom');
+    flushSync();
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(doubled.get()).toBe(2);
+
+    state.set(5);
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveLastReturnedWith(10);
+    dispose();
+  });
+
+  it('should let the callback read its own writes', () => {
+    const state = new Signal.State(1);
+    const doubled = new Signal.Computed(() => state.get() * 2);
+    const seen = [];
+
+    expect(() =>
+      transaction(() => {
+        state.set(2);
+        seen.push(doubled.get());
+        throw new Error('boom');
+      })
+    ).toThrow('boom');
+
+    expect(seen).toEqual([4]);
+    expect(doubled.get()).toBe(2);
+  });
+
+  it('should roll back only the inner transaction when its error is caught', () => {
+    const outer = new Signal.State('a');
+    const inner = new Signal.State('b');
+
+    transaction(() => {
+      outer.set('A');
+      try {
+        transaction(() => {
+          inner.set('B');
+          throw new Error('inner');
+        });
+      } catch {
+        // Handled inside the outer transaction
+      }
+    });
+
+    expect(outer.get()).toBe('A');
+    expect(inner.get()).toBe('b');
+  });
+
+  it('should roll back committed nested transactions with the outer one', () => {
+    const state = new Signal.State(0);
+
+    expect(() =>
+      transaction(() => {
+        transaction(() => state.set(1));
+        throw new Error('outer');
+      })
+    ).toThrow('outer');
+
+    expect(state.get()).toBe(0);
+  });
+
+  it('should keep updates queued before the transaction', () => {
+    const before = new Signal.State(0);
+    const during = new Signal.State(0);
+    const beforeSpy = vi.fn(() => before.get());
+    const duringSpy = vi.fn(() => during.get());
+    const disposers = [beforeSpy, duringSpy].map((spy) => effect(spy, { scheduler: 'sync' }));
+
+    batch(() => {
+      before.set(1);
+      try {
+        transaction(() => {
+          during.set(1);
+          throw new Error('boom');
+        });
+      } catch {
+        // The outer batch still commits
+      }
+    });
+
+    expect(beforeSpy).toHaveBeenCalledTimes(2);
+    expect(duringSpy).toHaveBeenCalledTimes(1);
+    disposers.forEach((dispose) => dispose());
+  });
+});
+
 describe('Signal.subtle', () => {
   describe('Watcher', () => {
     it('should create a watcher and receive notifications', () => {
@@ -471,6 +1186,143 @@ describe('Signal.subtle', () => {
         }, 0);
       });
     });
+
+    it('should not notify when watching a computed that was never read', () => {
+      const notifySpy = vi.fn();
+      const watcher = new Signal.subtle.Watcher(notifySpy);
+      const state = new Signal.State(10);
+      const doubled = new Signal.Computed(() => state.get() * 2);
+
+      watcher.watch(doubled);
+      flushSync();
+
+      expect(notifySpy).not.toHaveBeenCalled();
+      expect(watcher.getPending()).toEqual([]);
+      expect(doubled.get()).toBe(20);
+    });
+  });
+
+  describe('watched and unwatched lifecycle', () => {
+    it('should fire watched only on the first sink and unwatched on the last', () => {
+      const watchedSpy = vi.fn();
+      const unwatchedSpy = vi.fn();
+      const state = new Signal.State(1, {
+        [Signal.subtle.watched]: watchedSpy,
+        [Signal.subtle.unwatched]: unwatchedSpy,
+      });
+      const first = new Signal.subtle.Watcher(() => {});
+      const second = new Signal.subtle.Watcher(() => {});
+
+      first.watch(state);
+      second.watch(state);
+      expect(watchedSpy).toHaveBeenCalledTimes(1);
+
+      first.unwatch(state);
+      expect(unwatchedSpy).not.toHaveBeenCalled();
+
+      second.unwatch(state);
+      expect(unwatchedSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not fire watched again on repeated reads from the same computed', () => {
+      const watchedSpy = vi.fn();
+      const state = new Signal.State(1, { [Signal.subtle.watched]: watchedSpy });
+      const computed = new Signal.Computed(() => state.get() + state.get());
+      new Signal.subtle.Watcher(() => {}).watch(computed);
+
+      computed.get();
+      state.set(2);
+      computed.get();
+
+      expect(watchedSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep effect dependencies watched across reruns', async () => {
+      const watchedSpy = vi.fn();
+      const unwatchedSpy = vi.fn();
+      const state = new Signal.State(1, {
+        [Signal.subtle.watched]: watchedSpy,
+        [Signal.subtle.unwatched]: unwatchedSpy,
+      });
+
+      const dispose = effect(() => state.get());
+      state.set(2);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(watchedSpy).toHaveBeenCalledTimes(1);
+      expect(unwatchedSpy).not.toHaveBeenCalled();
+
+      dispose();
+      expect(unwatchedSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should acquire a resource only while observed', () => {
+      const log = [];
+      const connection = new Signal.State('idle', {
+        [Signal.subtle.watched]: () => log.push('subscribe'),
+        [Signal.subtle.unwatched]: () => log.push('unsubscribe'),
+      });
+      const watcher = new Signal.subtle.Watcher(() => {});
+
+      watcher.watch(connection);
+      watcher.unwatch(connection);
+      watcher.watch(connection);
+
+      expect(log).toEqual(['subscribe', 'unsubscribe', 'subscribe']);
+    });
+  });
+
+  describe('graph helpers', () => {
+    it('should report hasSources for computeds and watchers', () => {
+      const state = new Signal.State(1);
+      const computed = new Signal.Computed(() => state.get());
+      const watcher = new Signal.subtle.Watcher(() => {});
+
+      expect(Signal.subtle.hasSources(state)).toBe(false);
+      expect(Signal.subtle.hasSources(computed)).toBe(false);
+
+      computed.get();
+      expect(Signal.subtle.hasSources(computed)).toBe(true);
+
+      watcher.watch(computed);
+      expect(Signal.subtle.introspectSources(watcher)).toEqual([computed]);
+      expect(Signal.subtle.hasSources(watcher)).toBe(true);
+    });
+
+    it('should report hasSinks and resolve sinks outside of computations', () => {
+      const state = new Signal.State(1);
+      const computed = new Signal.Computed(() => state.get());
+
+      expect(Signal.subtle.hasSinks(state)).toBe(false);
+
+      computed.get();
+      expect(Signal.subtle.hasSinks(state)).toBe(false);
+
+      new Signal.subtle.Watcher(() => {}).watch(computed);
+      expect(Signal.subtle.hasSinks(state)).toBe(true);
+      expect(Signal.subtle.introspectSinks(state)).toEqual([computed]);
+    });
+
+    it('should report isWatched through computeds', () => {
+      const state = new Signal.State(1);
+      const computed = new Signal.Computed(() => state.get());
+      const watcher = new Signal.subtle.Watcher(() => {});
+
+      computed.get();
+      expect(Signal.subtle.isWatched(state)).toBe(false);
+
+      watcher.watch(computed);
+      expect(Signal.subtle.isWatched(state)).toBe(true);
+      expect(Signal.subtle.isWatched(computed)).toBe(true);
+
+      watcher.unwatch(computed);
+      expect(Signal.subtle.isWatched(state)).toBe(false);
+    });
+
+    it('should reject non-signals in Watcher.watch', () => {
+      const watcher = new Signal.subtle.Watcher(() => {});
+      expect(() => watcher.watch({})).toThrow(TypeError);
+    });
   });
 
   describe('untrack', () => {
@@ -540,6 +1392,7 @@ describe('Signal.subtle', () => {
       const state = new Signal.State(10);
       const computed1 = new Signal.Computed(() => state.get() * 2);
       const computed2 = new Signal.Computed(() => state.get() * 3);
+      new Signal.subtle.Watcher(() => {}).watch(computed1, computed2);
 
       computed1.get(); // Create dependency
       computed2.get(); // Create dependency
@@ -584,7 +1437,68 @@ describe('error handling', () => {
 
     state.set(20); // Should trigger error
     expect(() => computed.get()).toThrow('Computation error');
-    expect(consoleSpy).toHaveBeenCalledWith('Error in signal computation:', expect.any(Error));
+    // The error is cached and rethrown to the reader instead of logged
+    expect(consoleSpy).not.toHaveBeenCalled();
+  });
+
+  it('should cache a thrown error and rethrow it without rerunning the callback', () => {
+    const state = new Signal.State(1);
+    const spy = vi.fn(() => {
+      if (state.get() > 0) throw new Error('Positive');
+      return state.get();
+    });
+    const computed = new Signal.Computed(spy);
+
+    expect(() => computed.get()).toThrow('Positive');
+    expect(() => computed.get()).toThrow('Positive');
+    expect(() => computed.peek()).toThrow('Positive');
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(consoleSpy).not.toHaveBeenCalled();
+
+    state.set(-1);
+    expect(computed.get()).toBe(-1);
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('should propagate cached errors to downstream computeds', () => {
+    const state = new Signal.State(false);
+    const failing = new Signal.Computed(() => {
+      if (state.get()) throw new Error('Upstream failure');
+      return 'ok';
+    });
+    const downstream = new Signal.Computed(() => `value: ${failing.get()}`);
+
+    expect(downstream.get()).toBe('value: ok');
+
+    state.set(true);
+    expect(() => downstream.get()).toThrow('Upstream failure');
+
+    state.set(false);
+    expect(downstream.get()).toBe('value: ok');
+  });
+
+  it('should let effects react to a computed moving between error and value states', async () => {
+    const state = new Signal.State(1);
+    const computed = new Signal.Computed(() => {
+      if (state.get() < 0) throw new Error('Negative');
+      return state.get();
+    });
+    const values = [];
+    const errors = [];
+
+    const dispose = effect(() => values.push(computed.get()), {
+      onError: (err) => errors.push(err.message),
+    });
+
+    state.set(-1);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    state.set(2);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(values).toEqual([1, 2]);
+    expect(errors).toEqual(['Negative']);
+    expect(consoleSpy).not.toHaveBeenCalledWith('Error in effect:', expect.any(Error));
+    dispose();
   });
 
   it('should handle errors in lifecycle callbacks gracefully', () => {
@@ -595,6 +1509,7 @@ describe('error handling', () => {
     });
 
     const computed = new Signal.Computed(() => state.get());
+    new Signal.subtle.Watcher(() => {}).watch(computed);
     computed.get(); // Should trigger watched callback error
 
     expect(consoleSpy).toHaveBeenCalledWith('Error in watched callback:', expect.any(Error));
@@ -615,17 +1530,362 @@ describe('error handling', () => {
   });
 });
 
+describe('error boundaries', () => {
+  let system;
+  let consoleSpy;
+
+  beforeEach(() => {
+    system = createSignalSystem();
+    consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  const sync = { scheduler: 'sync' };
+
+  it('should send effect errors to a system handler with context', () => {
+    const handler = vi.fn();
+    system.onError(handler);
+
+    system.effect(
+      () => {
+        throw new Error('render failed');
+      },
+      { ...sync, name: 'chat:messages' }
+    );
+
+    expect(handler).toHaveBeenCalledWith(new Error('render failed'), {
+      phase: 'effect',
+      node: expect.any(system.Signal.subtle.Watcher),
+      name: 'chat:messages',
+    });
+    expect(consoleSpy).not.toHaveBeenCalled();
+  });
+
+  it('should let the nearest scope handle errors from effects created in it', () => {
+    const outer = vi.fn();
+    const inner = vi.fn();
+    const count = new system.Signal.State(1);
+    system.onError(outer);
+
+    system.createRoot(() => {
+      system.onError(inner);
+      system.effect(() => {
+        if (count.get() > 1) throw new Error('too many');
+      }, sync);
+    });
+    count.set(2);
+
+    expect(inner).toHaveBeenCalledWith(
+      new Error('too many'),
+      expect.objectContaining({ phase: 'effect' })
+    );
+    expect(outer).not.toHaveBeenCalled();
+  });
+
+  it('should pass an error a handler throws on to the next scope out', () => {
+    const outer = vi.fn();
+
+    system.createRoot(() => {
+      system.onError(outer);
+      system.createRoot(() => {
+        system.onError((error) => {
+          throw new Error(`unhandled: ${error.message}`);
+        });
+        system.effect(() => {
+          throw new Error('boom');
+        }, sync);
+      });
+    });
+
+    expect(outer).toHaveBeenCalledWith(
+      new Error('unhandled: boom'),
+      expect.objectContaining({ phase: 'error handler' })
+    );
+  });
+
+  it('should let a handler decline an error by rethrowing it', () => {
+    const outer = vi.fn();
+    system.onError(outer);
+
+    system.createRoot(() => {
+      system.onError((error) => {
+        throw error;
+      });
+      system.effect(() => {
+        throw new Error('not mine');
+      }, sync);
+    });
+
+    expect(outer).toHaveBeenCalledWith(
+      new Error('not mine'),
+      expect.objectContaining({ phase: 'effect' })
+    );
+  });
+
+  it('should report cleanup and lifecycle callback errors with their phase', () => {
+    const phases = [];
+    system.onError((error, { phase, name }) => phases.push([phase, name]));
+    const connection = new system.Signal.State(0, {
+      name: 'connection',
+      [system.Signal.subtle.watched]: () => {
+        throw new Error('connect');
+      },
+      [system.Signal.subtle.unwatched]: () => {
+        throw new Error('disconnect');
+      },
+    });
+
+    const dispose = system.effect(
+      () => {
+        connection.get();
+        return () => {
+          throw new Error('cleanup');
+        };
+      },
+      { ...sync, name: 'socket' }
+    );
+    dispose();
+
+    expect(phases).toEqual([
+      ['watched', 'connection'],
+      ['cleanup', 'socket'],
+      ['unwatched', 'connection'],
+    ]);
+  });
+
+  it('should stop handling once unregistered or the scope is disposed', () => {
+    const handler = vi.fn();
+    const unregister = system.onError(handler);
+    unregister();
+
+    const disposeRoot = system.createRoot((dispose) => {
+      system.onError(handler);
+      return dispose;
+    });
+    disposeRoot();
+    system.effect(() => {
+      throw new Error('late');
+    }, sync);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(consoleSpy).toHaveBeenCalledWith('Error in effect:', new Error('late'));
+  });
+
+  it('should report a computed error once, from the computed that threw it', () => {
+    const handler = vi.fn();
+    const onEffectError = vi.fn();
+    const count = new system.Signal.State(1);
+    const checked = new system.Signal.Computed(
+      () => {
+        if (count.get() < 0) throw new Error('negative');
+        return count.get();
+      },
+      { name: 'checked' }
+    );
+    const label = new system.Signal.Computed(() => `${checked.get()}`, { name: 'label' });
+    system.onError(handler);
+    system.effect(() => label.get(), { ...sync, onError: onEffectError });
+
+    count.set(-1);
+
+    expect(() => label.get()).toThrow('negative');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(new Error('negative'), {
+      phase: 'compute',
+      node: checked,
+      name: 'checked',
+    });
+    expect(onEffectError).toHaveBeenCalledWith(new Error('negative'));
+    expect(consoleSpy).not.toHaveBeenCalled();
+  });
+
+  it('should prefer the effect onError option', () => {
+    const handler = vi.fn();
+    const onEffectError = vi.fn();
+    system.onError(handler);
+
+    system.effect(
+      () => {
+        throw new Error('local');
+      },
+      { ...sync, onError: onEffectError }
+    );
+
+    expect(onEffectError).toHaveBeenCalledWith(new Error('local'));
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('comparators', () => {
+  it('should compare objects shallowly', () => {
+    const messages = [];
+    expect(shallowEqual({ id: 1, messages }, { id: 1, messages })).toBe(true);
+    expect(shallowEqual({ id: 1, messages }, { id: 1, messages: [] })).toBe(false);
+    expect(shallowEqual({ id: 1 }, { id: 1, name: undefined })).toBe(false);
+    expect(shallowEqual(null, {})).toBe(false);
+  });
+
+  it('should compare arrays shallowly', () => {
+    const thread = { id: 1 };
+    expect(shallowArrayEqual([thread, 2], [thread, 2])).toBe(true);
+    expect(shallowArrayEqual([thread], [{ id: 1 }])).toBe(false);
+    expect(shallowArrayEqual([1], [1, 2])).toBe(false);
+    expect(shallowArrayEqual([], {})).toBe(false);
+  });
+
+  it('should compare structures deeply', () => {
+    expect(
+      deepEqual(
+        {
+          id: 1,
+          messages: [{ at: new Date(5), tags: new Set(['a']) }],
+          meta: new Map([['k', [1]]]),
+        },
+        {
+          id: 1,
+          messages: [{ at: new Date(5), tags: new Set(['a']) }],
+          meta: new Map([['k', [1]]]),
+        }
+      )
+    ).toBe(true);
+    expect(deepEqual({ messages: [{ read: true }] }, { messages: [{ read: false }] })).toBe(false);
+    expect(deepEqual([1, 2], { 0: 1, 1: 2 })).toBe(false);
+    expect(deepEqual(NaN, NaN)).toBe(true);
+    expect(deepEqual(new (class Point {})(), new (class Point {})())).toBe(false);
+  });
+
+  it('should handle cyclic structures', () => {
+    const a = { id: 1 };
+    a.self = a;
+    const b = { id: 1 };
+    b.self = b;
+
+    expect(deepEqual(a, b)).toBe(true);
+  });
+
+  it('should match Set members deeply, in any order', () => {
+    expect(deepEqual(new Set([{ id: 1 }, { id: 2 }]), new Set([{ id: 2 }, { id: 1 }]))).toBe(true);
+    expect(deepEqual(new Set([{ id: 1 }, { id: 1 }]), new Set([{ id: 1 }, { id: 2 }]))).toBe(false);
+    expect(deepEqual(new Set([[1]]), new Set([[2]]))).toBe(false);
+  });
+});
+
 describe('complex scenarios', () => {
-  it('should handle diamond dependency graphs', () => {
+  it('should handle diamond dependency graphs', async () => {
     const root = new Signal.State(10);
-    const left = new Signal.Computed(() => root.get() * 2);
-    const right = new Signal.Computed(() => root.get() * 3);
-    const bottom = new Signal.Computed(() => left.get() + right.get());
+    const leftSpy = vi.fn(() => root.get() * 2);
+    const rightSpy = vi.fn(() => root.get() * 3);
+    const left = new Signal.Computed(leftSpy);
+    const right = new Signal.Computed(rightSpy);
+    const bottomSpy = vi.fn(() => left.get() + right.get());
+    const bottom = new Signal.Computed(bottomSpy);
+
+    const observed = [];
+    const effectSpy = vi.fn(() => {
+      observed.push([left.get(), right.get(), bottom.get()]);
+    });
+    const dispose = effect(effectSpy);
 
     expect(bottom.get()).toBe(50); // (10*2) + (10*3) = 50
+    expect(bottomSpy).toHaveBeenCalledTimes(1);
+    expect(effectSpy).toHaveBeenCalledTimes(1);
 
     root.set(5);
     expect(bottom.get()).toBe(25); // (5*2) + (5*3) = 25
+    expect(leftSpy).toHaveBeenCalledTimes(2);
+    expect(rightSpy).toHaveBeenCalledTimes(2);
+    expect(bottomSpy).toHaveBeenCalledTimes(2);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    // The effect reaches the change through three paths but runs once, with a consistent view
+    expect(effectSpy).toHaveBeenCalledTimes(2);
+    expect(bottomSpy).toHaveBeenCalledTimes(2);
+    observed.forEach(([l, r, b]) => {
+      expect(r * 2).toBe(l * 3);
+      expect(b).toBe(l + r);
+    });
+
+    dispose();
+  });
+
+  it('should notify a watcher once per flush for a diamond', async () => {
+    const root = new Signal.State(1);
+    const left = new Signal.Computed(() => root.get() + 1);
+    const right = new Signal.Computed(() => root.get() + 2);
+    const notifySpy = vi.fn();
+    const watcher = new Signal.subtle.Watcher(notifySpy);
+
+    left.get();
+    right.get();
+    watcher.watch(root, left, right);
+
+    root.set(2);
+    expect(watcher.getPending()).toEqual(expect.arrayContaining([root, left, right]));
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(notifySpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should mark downstream computeds for checking without recomputing eagerly', () => {
+    const root = new Signal.State(1);
+    const middle = new Signal.Computed(() => root.get() * 10);
+    const leafSpy = vi.fn(() => middle.get() + 1);
+    const leaf = new Signal.Computed(leafSpy);
+    new Signal.subtle.Watcher(() => {}).watch(leaf);
+
+    expect(leaf.get()).toBe(11);
+
+    root.set(2);
+    expect(middle._state).toBe(2); // DIRTY
+    expect(leaf._state).toBe(1); // CHECK
+    expect(leafSpy).toHaveBeenCalledTimes(1);
+
+    expect(leaf.get()).toBe(21);
+    expect(leafSpy).toHaveBeenCalledTimes(2);
+    expect(leaf._height).toBe(2);
+  });
+
+  it('should skip recomputing a checked computed whose sources did not change', () => {
+    const a = new Signal.State(1);
+    const b = new Signal.State(1);
+    const fromA = new Signal.Computed(() => a.get());
+    const fromBSpy = vi.fn(() => b.get());
+    const fromB = new Signal.Computed(fromBSpy);
+    const total = new Signal.Computed(() => fromA.get() + fromB.get());
+
+    expect(total.get()).toBe(2);
+
+    a.set(5);
+    expect(total.get()).toBe(6);
+    expect(fromBSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run effects in height order within a flush', async () => {
+    const root = new Signal.State(0);
+    const middle = new Signal.Computed(() => root.get());
+    const deep = new Signal.Computed(() => middle.get() + 1);
+    const order = [];
+
+    const disposeDeep = effect(() => {
+      deep.get();
+      order.push('deep');
+    });
+    const disposeShallow = effect(() => {
+      root.get();
+      order.push('shallow');
+    });
+    order.length = 0;
+
+    root.set(1);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(order).toEqual(['shallow', 'deep']);
+
+    disposeDeep();
+    disposeShallow();
   });
 
   it('should handle conditional dependencies', () => {
@@ -677,3 +1937,230 @@ describe('complex scenarios', () => {
     expect(spy).toHaveBeenCalledTimes(1);
   });
 });
+
+describe('createSignalSystem', () => {
+  it('should return an independent Signal namespace, batch and effect', () => {
+    const isolated = createSignalSystem();
+
+    expect(isolated.Signal).not.toBe(Signal);
+    expect(typeof isolated.batch).toBe('function');
+    expect(typeof isolated.effect).toBe('function');
+
+    const state = new isolated.Signal.State(1);
+    const computed = new isolated.Signal.Computed(() => state.get() + 1);
+    expect(computed.get()).toBe(2);
+
+    state.set(5);
+    expect(computed.get()).toBe(6);
+  });
+
+  it('should not share computation context with the default system', () => {
+    const isolated = createSignalSystem();
+    let innerComputed;
+
+    const outer = new Signal.Computed(() => {
+      const inner = new isolated.Signal.Computed(() => {
+        innerComputed = isolated.Signal.subtle.currentComputed();
+        return Signal.subtle.currentComputed();
+      });
+      return inner.get();
+    });
+
+    const outerContext = outer.get();
+    expect(outerContext.signal).toBe(outer);
+    expect(innerComputed.signal).not.toBe(outer);
+    expect(isolated.Signal.subtle.currentComputed()).toBeNull();
+  });
+
+  it('should keep batching state separate between systems', () => {
+    const first = createSignalSystem();
+    const second = createSignalSystem();
+
+    first.batch(() => {
+      expect(first.engine.isUpdating).toBe(true);
+      expect(second.engine.isUpdating).toBe(false);
+    });
+
+    expect(first.engine.isUpdating).toBe(false);
+  });
+
+  it('should run effects against their own system', async () => {
+    const isolated = createSignalSystem();
+    const state = new isolated.Signal.State('a');
+    const spy = vi.fn(() => state.get());
+
+    const dispose = isolated.effect(spy);
+    state.set('b');
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(isolated.engine.watcherNotificationQueue.size).toBe(0);
+    dispose();
+  });
+});
+
+describe('debug names and tracing', () => {
+  it('should report which nodes are stale', () => {
+    const { Signal: S, engine } = createSignalSystem();
+    const count = new S.State(1);
+    const doubled = new S.Computed(() => count.get() * 2);
+    const watcher = new S.subtle.Watcher(() => {});
+
+    expect(engine.isStale(doubled)).toBe(true);
+    doubled.get();
+    watcher.watch(count);
+    expect([count, doubled, watcher].map((node) => engine.isStale(node))).toEqual([
+      false,
+      false,
+      false,
+    ]);
+
+    count.set(2);
+    expect([count, doubled, watcher].map((node) => engine.isStale(node))).toEqual([
+      false,
+      true,
+      true,
+    ]);
+  });
+
+  it('should accept a name on every primitive', () => {
+    const { Signal: S, effect: isolatedEffect, engine } = createSignalSystem();
+    const state = new S.State(1, { name: 'count' });
+    const computed = new S.Computed(() => state.get(), { name: 'double' });
+    const watcher = new S.subtle.Watcher(() => {}, { name: 'logger' });
+    const unnamed = new S.State(0);
+
+    expect(engine.getDebugName(state)).toBe('count');
+    expect(engine.getDebugName(computed)).toBe('double');
+    expect(engine.getDebugName(watcher)).toBe('logger');
+    expect(engine.getDebugName(unnamed)).toBe(`state#${unnamed._id}`);
+
+    const dispose = isolatedEffect(() => computed.get(), { name: 'render' });
+    const [effectWatcher] = S.subtle.introspectSinks(computed);
+    expect(engine.getDebugName(effectWatcher)).toBe('render');
+    dispose();
+  });
+
+  it('should record nothing until tracing is enabled', () => {
+    const isolated = createSignalSystem();
+    const state = new isolated.Signal.State(1);
+    const computed = new isolated.Signal.Computed(() => state.get());
+
+    computed.get();
+    state.set(2);
+    computed.get();
+
+    expect(isolated.tracing.getRecords()).toEqual([]);
+  });
+
+  it('should record which source changed, its values and the propagation chain', () => {
+    const isolated = createSignalSystem();
+    const { Signal: S } = isolated;
+    const threads = new S.State(['a'], { name: 'threads' });
+    const threadStats = new S.Computed(() => threads.get().length, { name: 'threadStats' });
+    const dispose = isolated.effect(() => threadStats.get(), {
+      name: 'sidebar',
+      scheduler: 'sync',
+    });
+
+    isolated.tracing.enable();
+    threads.set(['a', 'b']);
+
+    // The effect settles threadStats to see whether it changed before it runs
+    expect(isolated.tracing.getRecords('threadStats')).toEqual([
+      {
+        sequence: 1,
+        kind: 'recompute',
+        name: 'threadStats',
+        causes: [
+          {
+            source: 'threads',
+            oldValue: ['a'],
+            newValue: ['a', 'b'],
+            chain: ['threads', 'threadStats'],
+          },
+        ],
+      },
+    ]);
+
+    const [effectRecord] = isolated.tracing.getRecords('sidebar');
+    expect(effectRecord.kind).toBe('effect');
+    expect(effectRecord.causes[0].chain).toEqual(['threads', 'threadStats', 'sidebar']);
+    dispose();
+  });
+
+  it('should record every change that reached a node within a batch', () => {
+    const isolated = createSignalSystem();
+    const { Signal: S } = isolated;
+    const first = new S.State('Ada', { name: 'first' });
+    const last = new S.State('Lovelace', { name: 'last' });
+    const full = new S.Computed(() => `${first.get()} ${last.get()}`, { name: 'full' });
+    new S.subtle.Watcher(() => {}).watch(full);
+    full.get();
+
+    isolated.tracing.enable();
+    isolated.batch(() => {
+      first.set('Grace');
+      last.set('Hopper');
+    });
+    full.get();
+
+    const [record] = isolated.tracing.getRecords(full);
+    expect(record.causes.map((cause) => cause.source)).toEqual(['first', 'last']);
+  });
+
+  it('should record raw watcher notifications', async () => {
+    const isolated = createSignalSystem();
+    const state = new isolated.Signal.State(0, { name: 'state' });
+    const watcher = new isolated.Signal.subtle.Watcher(() => {}, { name: 'watcher' });
+    watcher.watch(state);
+
+    isolated.tracing.enable();
+    state.set(1);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const [record] = isolated.tracing.getRecords(watcher);
+    expect(record.kind).toBe('notify');
+    expect(record.causes[0].chain).toEqual(['state', 'watcher']);
+  });
+
+  it('should keep at most the configured number of records and support clearing', () => {
+    const isolated = createSignalSystem();
+    const state = new isolated.Signal.State(0);
+    const computed = new isolated.Signal.Computed(() => state.get());
+
+    isolated.tracing.enable({ limit: 2 });
+    for (let i = 1; i <= 5; i++) {
+      state.set(i);
+      computed.get();
+    }
+
+    expect(isolated.tracing.getRecords().map((record) => record.sequence)).toEqual([4, 5]);
+
+    isolated.tracing.clear();
+    expect(isolated.tracing.getRecords()).toEqual([]);
+
+    isolated.tracing.disable();
+    state.set(10);
+    computed.get();
+    expect(isolated.tracing.getRecords()).toEqual([]);
+  });
+
+  it('should print records to the console', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const isolated = createSignalSystem();
+    const state = new isolated.Signal.State(1, { name: 'count' });
+    const computed = new isolated.Signal.Computed(() => state.get() * 2, { name: 'double' });
+    new isolated.Signal.subtle.Watcher(() => {}).watch(computed);
+
+    isolated.tracing.enable();
+    computed.get();
+    state.set(2);
+    computed.get();
+    isolated.tracing.print('double');
+
+    expect(logSpy).toHaveBeenCalledWith('#1 recompute double\n  (initial run)');
+    expect(logSpy).toHaveBeenCalledWith('#2 recompute double\n  count: 1 → 2 via count → double');
+    logSpy.mockRestore();
+  });
+});
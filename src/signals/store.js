@@ -0,0 +1,379 @@
+import { defaultSystem } from './signals_tc39.js';
+
+const RAW = Symbol('store.raw');
+
+function isWrappable(value) {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value)) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function unwrap(value) {
+  return (value !== null && typeof value === 'object' && value[RAW]) || value;
+}
+
+// Deep reactive store. Reads through `state` are tracked per property of each
+// object, so dependents only rerun when a property they read changes. All writes
+// go through `produce`, and `snapshot()` returns a frozen copy that shares every
+// unchanged subtree with the previous snapshot.
+function createStore(initialValue, options = {}) {
+  const { name = 'store', system = defaultSystem } = options;
+  const { Signal, transaction } = system;
+
+  if (!isWrappable(initialValue)) {
+    throw new TypeError('createStore expects a plain object or array');
+  }
+
+  const parents = new WeakMap(); // raw object -> the object containing it
+  const paths = new WeakMap(); // raw object -> path it was inserted at, for debug names
+  const propertySignals = new WeakMap(); // raw object -> Map(key -> Signal.State)
+  const shapeSignals = new WeakMap(); // raw object -> Signal.State bumped when keys change
+  const snapshots = new WeakMap(); // raw object -> frozen copy, dropped when it changes
+  const readProxies = new WeakMap();
+  const draftProxies = new WeakMap();
+  const version = new Signal.State(0, { name: `${name}.version` });
+  const movedInto = new Set(); // containers that kept an object in this produce
+  let changed = false;
+
+  // Copies incoming objects so the store never mutates (or aliases) caller data.
+  // Objects already in the same container are kept, so sorting or splicing a
+  // draft array doesn't copy its items; separateDuplicates() copies the ones
+  // that end up at two keys once the write is done.
+  function adopt(value, parent, path) {
+    const raw = unwrap(value);
+    if (!isWrappable(raw)) return raw;
+    if (parent && parents.get(raw) === parent) {
+      movedInto.add(parent);
+      return raw;
+    }
+    return copyOf(raw, parent, path);
+  }
+
+  function copyOf(raw, parent, path) {
+    const copy = Array.isArray(raw) ? [] : {};
+    parents.set(copy, parent);
+    paths.set(copy, path);
+    Object.keys(raw).forEach((key) => {
+      copy[key] = adopt(raw[key], copy, `${path}.${key}`);
+    });
+    return copy;
+  }
+
+  function wrap(value, proxies, handler) {
+    if (!isWrappable(value)) return value;
+
+    let proxy = proxies.get(value);
+    if (!proxy) {
+      proxy = new Proxy(value, handler);
+      proxies.set(value, proxy);
+    }
+    return proxy;
+  }
+
+  function trackProperty(target, key) {
+    if (!Signal.subtle.currentComputed()) return;
+
+    let signals = propertySignals.get(target);
+    if (!signals) {
+      signals = new Map();
+      propertySignals.set(target, signals);
+    }
+
+    let signal = signals.get(key);
+    if (!signal) {
+      // Writes compare raw values before notifying, and a signal created inside a
+      // transaction that rolls back would hold a stale value to compare against
+      signal = new Signal.State(target[key], {
+        name: `${paths.get(target)}.${key}`,
+        equals: () => false,
+      });
+      signals.set(key, signal);
+    }
+    signal.get();
+  }
+
+  function trackShape(target) {
+    if (!Signal.subtle.currentComputed()) return;
+
+    let signal = shapeSignals.get(target);
+    if (!signal) {
+      signal = new Signal.State(0, { name: `${paths.get(target)}[keys]` });
+      shapeSignals.set(target, signal);
+    }
+    signal.get();
+  }
+
+  function recordChange(target, key, shapeChanged) {
+    changed = true;
+    propertySignals.get(target)?.get(key)?.set(target[key]);
+
+    if (shapeChanged) {
+      const shape = shapeSignals.get(target);
+      shape?.set(shape.peek() + 1);
+    }
+
+    // A cached snapshot implies cached snapshots for everything below it, so
+    // invalidation can stop at the first ancestor without one
+    for (let node = target; node && snapshots.delete(node); node = parents.get(node));
+  }
+
+  // Inside a transaction, registers how to put `target` and the snapshots cached
+  // for it back the way they are before a write to `key`
+  function recordUndo(target, key) {
+    const transaction = system.engine.currentTransaction;
+    if (!transaction) return;
+
+    const hadKey = Object.hasOwn(target, key);
+    const value = target[key];
+    const isArray = Array.isArray(target);
+    const length = target.length;
+    // Truncating an array drops its tail, which has to come back as well
+    const items = isArray && key === 'length' ? target.slice() : null;
+    const cached = [];
+    for (let node = target; node && snapshots.has(node); node = parents.get(node)) {
+      cached.push([node, snapshots.get(node)]);
+    }
+
+    transaction.onRollback(() => {
+      if (items) {
+        target.length = items.length;
+        items.forEach((item, i) => {
+          target[i] = item;
+        });
+      } else {
+        if (hadKey) {
+          target[key] = value;
+        } else {
+          delete target[key];
+        }
+        if (isArray) {
+          target.length = length;
+        }
+      }
+
+      for (let node = target; node && snapshots.delete(node); node = parents.get(node));
+      cached.forEach(([node, snapshot]) => snapshots.set(node, snapshot));
+
+      propertySignals.get(target)?.forEach((signal, key) => signal.set(target[key]));
+      const shape = shapeSignals.get(target);
+      shape?.set(shape.peek() + 1);
+    });
+  }
+
+  const readHandler = {
+    get(target, key, receiver) {
+      if (key === RAW) return target;
+
+      const value = Reflect.get(target, key, receiver);
+      // Prototype members such as array methods aren't state
+      if (typeof key !== 'symbol' && (Object.hasOwn(target, key) || !(key in target))) {
+        trackProperty(target, key);
+      }
+      return wrap(value, readProxies, readHandler);
+    },
+
+    has(target, key) {
+      if (typeof key !== 'symbol') {
+        trackProperty(target, key);
+      }
+      return Reflect.has(target, key);
+    },
+
+    ownKeys(target) {
+      trackShape(target);
+      return Reflect.ownKeys(target);
+    },
+
+    set() {
+      throw new Error(`Cannot modify ${name} outside of produce()`);
+    },
+
+    deleteProperty() {
+      throw new Error(`Cannot modify ${name} outside of produce()`);
+    },
+
+    defineProperty() {
+      throw new Error(`Cannot modify ${name} outside of produce()`);
+    },
+  };
+
+  const draftHandler = {
+    get(target, key, receiver) {
+      if (key === RAW) return target;
+      return wrap(Reflect.get(target, key, receiver), draftProxies, draftHandler);
+    },
+
+    set(target, key, value) {
+      const hadKey = Object.hasOwn(target, key);
+      const isArray = Array.isArray(target);
+      const previousLength = isArray ? target.length : 0;
+      const next = adopt(value, target, `${paths.get(target)}.${key}`);
+
+      if (hadKey && target[key] === next) return true;
+      recordUndo(target, key);
+      target[key] = next;
+      recordChange(target, key, !hadKey);
+
+      if (isArray && key === 'length') {
+        for (let i = next; i < previousLength; i++) {
+          recordChange(target, String(i), true);
+        }
+      } else if (isArray && target.length !== previousLength) {
+        recordChange(target, 'length', false);
+      }
+      return true;
+    },
+
+    deleteProperty(target, key) {
+      if (!Object.hasOwn(target, key)) return true;
+
+      recordUndo(target, key);
+      delete target[key];
+      recordChange(target, key, true);
+      return true;
+    },
+  };
+
+  function toSnapshot(raw) {
+    if (!isWrappable(raw)) return raw;
+
+    let snapshot = snapshots.get(raw);
+    if (!snapshot) {
+      snapshot = Array.isArray(raw)
+        ? raw.map(toSnapshot)
+        : Object.fromEntries(Object.entries(raw).map(([key, value]) => [key, toSnapshot(value)]));
+      snapshots.set(raw, Object.freeze(snapshot));
+    }
+    return snapshot;
+  }
+
+  // Caches `snapshot` as the frozen copy of `raw` once every child already has
+  // its part of it cached, which keeps the cache invariant recordChange relies on
+  function cacheSnapshot(raw, snapshot) {
+    const complete =
+      Object.isFrozen(snapshot) &&
+      Object.keys(raw).every(
+        (key) => !isWrappable(raw[key]) || snapshots.get(raw[key]) === snapshot[key]
+      );
+    if (complete) {
+      snapshots.set(raw, snapshot);
+    }
+  }
+
+  function seedSnapshots(raw, snapshot) {
+    if (!isWrappable(raw)) return;
+
+    Object.keys(raw).forEach((key) => seedSnapshots(raw[key], snapshot[key]));
+    cacheSnapshot(raw, snapshot);
+  }
+
+  // Writes only the differences between `target` and `snapshot`, reusing the
+  // snapshot's objects as the cached copies so identities survive a round trip
+  function restoreInto(target, snapshot) {
+    if (snapshots.get(target) === snapshot) return;
+
+    if (Array.isArray(target)) {
+      if (target.length > snapshot.length) {
+        draftHandler.set(target, 'length', snapshot.length);
+      }
+    } else {
+      Object.keys(target)
+        .filter((key) => !Object.hasOwn(snapshot, key))
+        .forEach((key) => draftHandler.deleteProperty(target, key));
+    }
+
+    Object.keys(snapshot).forEach((key) => {
+      const value = snapshot[key];
+      const current = target[key];
+      if (
+        isWrappable(value) &&
+        isWrappable(current) &&
+        Array.isArray(value) === Array.isArray(current)
+      ) {
+        restoreInto(current, value);
+      } else {
+        draftHandler.set(target, key, value);
+        seedSnapshots(target[key], value);
+      }
+    });
+
+    cacheSnapshot(target, snapshot);
+  }
+
+  // An object kept at a second key of its container, as in
+  // `d.items.push(d.items[0])`, would make the two entries one object. Every
+  // occurrence after the first becomes a copy.
+  function separateDuplicates() {
+    movedInto.forEach((container) => {
+      const seen = new Set();
+      Object.keys(container).forEach((key) => {
+        const value = container[key];
+        if (!isWrappable(value)) return;
+        if (seen.has(value)) {
+          draftHandler.set(
+            container,
+            key,
+            copyOf(value, container, `${paths.get(container)}.${key}`)
+          );
+        } else {
+          seen.add(value);
+        }
+      });
+    });
+  }
+
+  // A write that throws leaves the store (and every signal) as it was
+  function commit(write) {
+    transaction(() => {
+      try {
+        Signal.subtle.untrack(write);
+        separateDuplicates();
+      } finally {
+        movedInto.clear();
+        if (changed) {
+          changed = false;
+          version.set(version.peek() + 1);
+        }
+      }
+    });
+  }
+
+  const root = adopt(initialValue, null, name);
+
+  return {
+    state: wrap(root, readProxies, readHandler),
+
+    // Applies `recipe` to a mutable draft as one transaction and returns the next snapshot
+    produce(recipe) {
+      commit(() => recipe(wrap(root, draftProxies, draftHandler)));
+      return toSnapshot(root);
+    },
+
+    // Makes the store equal to `snapshot`, notifying only the paths that differ.
+    // Restoring a snapshot taken earlier makes snapshot() return it again.
+    restore(snapshot) {
+      if (!isWrappable(snapshot) || Array.isArray(snapshot) !== Array.isArray(root)) {
+        throw new TypeError(`Cannot restore ${name} from a different kind of value`);
+      }
+      commit(() => restoreInto(root, snapshot));
+    },
+
+    // Frozen, structurally shared copy of the whole tree; tracked as a single dependency
+    snapshot() {
+      version.get();
+      return toSnapshot(root);
+    },
+  };
+}
+
+// Uniform read/write access to a store or a writable signal, for helpers that
+// accept either: stores are read as snapshots and written with restore()
+function toTarget(source) {
+  if (typeof source.snapshot === 'function' && typeof source.restore === 'function') {
+    return { read: () => source.snapshot(), write: (value) => source.restore(value) };
+  }
+  return { read: () => source.get(), write: (value) => source.set(value) };
+}
+
+export { createStore, unwrap, toTarget };
@@ -0,0 +1,312 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Signal, effect, transaction, createSignalSystem } from './signals_tc39.js';
+import { createStore } from './store.js';
+
+describe('createStore', () => {
+  it('should read nested values through state', () => {
+    const store = createStore({
+      threads: [
+        { name: 'Team Standup', messages: [{ content: 'Morning' }] },
+        { name: 'Project Alpha', messages: [] },
+      ],
+    });
+
+    expect(store.state.threads.length).toBe(2);
+    expect(store.state.threads[0].messages[0].content).toBe('Morning');
+    expect(store.state.threads.map((thread) => thread.name)).toEqual([
+      'Team Standup',
+      'Project Alpha',
+    ]);
+  });
+
+  it('should not mutate the initial object', () => {
+    const initial = { threads: [{ id: 1, messages: [] }] };
+    const store = createStore(initial);
+
+    store.produce((draft) => {
+      draft.threads[0].messages.push({ id: 1 });
+    });
+
+    expect(initial.threads[0].messages).toEqual([]);
+  });
+
+  it('should reject writes outside of produce', () => {
+    const store = createStore({ threads: [{ name: 'Team Standup' }] });
+
+    expect(() => {
+      store.state.threads[0].name = 'Renamed';
+    }).toThrow('Cannot modify store outside of produce()');
+  });
+
+  it('should only rerun dependents of the paths that changed', () => {
+    const store = createStore({
+      threads: [
+        { name: 'Team Standup', messages: [{ id: 1 }] },
+        { name: 'Project Alpha', messages: [] },
+      ],
+    });
+    const nameSpy = vi.fn(() => store.state.threads[1].name);
+    const countSpy = vi.fn(() => store.state.threads[0].messages.length);
+    const name = new Signal.Computed(nameSpy);
+    const count = new Signal.Computed(countSpy);
+    const disposeName = effect(() => name.get(), { scheduler: 'sync' });
+    const disposeCount = effect(() => count.get(), { scheduler: 'sync' });
+
+    store.produce((draft) => {
+      draft.threads[0].messages.push({ id: 2 });
+    });
+
+    expect(count.get()).toBe(2);
+    expect(countSpy).toHaveBeenCalledTimes(2);
+    expect(nameSpy).toHaveBeenCalledTimes(1);
+    disposeName();
+    disposeCount();
+  });
+
+  it('should not notify when a write keeps the same value', () => {
+    const store = createStore({ messages: [{ read: false }] });
+    const spy = vi.fn(() => store.state.messages[0].read);
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    store.produce((draft) => {
+      draft.messages[0].read = false;
+    });
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    store.produce((draft) => {
+      draft.messages[0].read = true;
+    });
+    expect(spy).toHaveBeenCalledTimes(2);
+    dispose();
+  });
+
+  it('should track key iteration separately from values', () => {
+    const store = createStore({ drafts: { 1: 'hello' } });
+    const keysSpy = vi.fn(() => Object.keys(store.state.drafts));
+    const dispose = effect(keysSpy, { scheduler: 'sync' });
+
+    store.produce((draft) => {
+      draft.drafts[1] = 'hello there';
+    });
+    expect(keysSpy).toHaveBeenCalledTimes(1);
+
+    store.produce((draft) => {
+      draft.drafts[2] = 'new';
+    });
+    expect(keysSpy).toHaveBeenCalledTimes(2);
+
+    store.produce((draft) => {
+      delete draft.drafts[1];
+    });
+    expect(keysSpy).toHaveBeenCalledTimes(3);
+    expect(keysSpy).toHaveLastReturnedWith(['2']);
+    dispose();
+  });
+
+  it('should notify readers of removed array items when truncating', () => {
+    const store = createStore({ items: ['a', 'b', 'c'] });
+    const spy = vi.fn(() => store.state.items[2]);
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    store.produce((draft) => {
+      draft.items.length = 1;
+    });
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveLastReturnedWith(undefined);
+    dispose();
+  });
+
+  it('should apply every write of a produce call as one batch', () => {
+    const store = createStore({ threads: [{ name: 'Team Standup' }, { name: 'Project Alpha' }] });
+    const spy = vi.fn(() => store.state.threads.map((thread) => thread.name).join());
+    const dispose = effect(spy, { scheduler: 'sync' });
+
+    store.produce((draft) => {
+      draft.threads[0].name = 'Daily';
+      draft.threads[1].name = 'Alpha';
+    });
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy).toHaveLastReturnedWith('Daily,Alpha');
+    dispose();
+  });
+
+  it('should keep items when reordering a draft array', () => {
+    const store = createStore({ threads: [{ id: 1 }, { id: 2 }] });
+    const [first, second] = store.snapshot().threads;
+
+    const next = store.produce((draft) => {
+      draft.threads.reverse();
+    });
+
+    expect(next.threads[0]).toBe(second);
+    expect(next.threads[1]).toBe(first);
+  });
+
+  it('should keep an item moved to another index', () => {
+    const store = createStore({ items: [{ n: 1 }, { n: 2 }] });
+    const [first] = store.snapshot().items;
+
+    const next = store.produce((draft) => {
+      draft.items.push(draft.items.shift());
+    });
+
+    expect(next.items).toEqual([{ n: 2 }, { n: 1 }]);
+    expect(next.items[1]).toBe(first);
+  });
+
+  it('should copy an item pushed twice into the same array', () => {
+    const store = createStore({ items: [{ n: 1 }] });
+
+    store.produce((draft) => {
+      draft.items.push(draft.items[0]);
+    });
+    const next = store.produce((draft) => {
+      draft.items[1].n = 99;
+    });
+
+    expect(next.items).toEqual([{ n: 1 }, { n: 99 }]);
+  });
+
+  it('should return frozen snapshots that share unchanged subtrees', () => {
+    const store = createStore({ threads: [{ messages: [{ read: false }] }, { messages: [] }] });
+    const before = store.snapshot();
+
+    const after = store.produce((draft) => {
+      draft.threads[0].messages[0].read = true;
+    });
+
+    expect(Object.isFrozen(after.threads[0].messages[0])).toBe(true);
+    expect(after).not.toBe(before);
+    expect(after.threads[0]).not.toBe(before.threads[0]);
+    expect(after.threads[1]).toBe(before.threads[1]);
+    expect(before.threads[0].messages[0].read).toBe(false);
+    expect(store.snapshot()).toBe(after);
+  });
+
+  it('should track snapshot() as a dependency on the whole store', () => {
+    const store = createStore({ threads: [{ id: 1 }, { id: 2 }] });
+    const latest = new Signal.Computed(() => store.snapshot().threads.length);
+
+    expect(latest.get()).toBe(2);
+
+    store.produce((draft) => {
+      draft.threads.push({ id: 3 });
+    });
+    expect(latest.get()).toBe(3);
+  });
+
+  it('should restore an earlier snapshot, notifying only what differs', () => {
+    const store = createStore({
+      threads: [
+        { name: 'Team Standup', messages: [{ id: 1 }] },
+        { name: 'Project Alpha', messages: [] },
+      ],
+    });
+    const before = store.snapshot();
+    store.produce((draft) => {
+      draft.threads[0].messages.push({ id: 2 });
+      draft.threads.push({ name: 'Design Review', messages: [] });
+    });
+    const nameSpy = vi.fn(() => store.state.threads[1].name);
+    const countSpy = vi.fn(() => store.state.threads[0].messages.length);
+    const disposers = [nameSpy, countSpy].map((spy) => effect(spy, { scheduler: 'sync' }));
+
+    store.restore(before);
+
+    expect(store.snapshot()).toBe(before);
+    expect(store.state.threads.length).toBe(2);
+    expect(countSpy).toHaveLastReturnedWith(1);
+    expect(nameSpy).toHaveBeenCalledTimes(1);
+    disposers.forEach((dispose) => dispose());
+  });
+
+  it('should keep restored objects independent of the snapshot', () => {
+    const store = createStore({ threads: [{ name: 'Team Standup' }, { name: 'Project Alpha' }] });
+    const before = store.snapshot();
+    store.produce((draft) => {
+      draft.threads = [];
+    });
+
+    store.restore(before);
+    const next = store.produce((draft) => {
+      draft.threads[1].name = 'Renamed';
+    });
+
+    expect(before.threads[1].name).toBe('Project Alpha');
+    expect(next.threads[1].name).toBe('Renamed');
+    expect(next.threads[0]).toBe(before.threads[0]);
+  });
+
+  it('should reject restoring a different kind of value', () => {
+    const store = createStore({ threads: [] });
+
+    expect(() => store.restore([])).toThrow(TypeError);
+  });
+
+  it('should roll back a produce call that throws', () => {
+    const store = createStore({
+      threads: [
+        { name: 'Team Standup', messages: [] },
+        { name: 'Project Alpha', messages: [] },
+      ],
+    });
+    const before = store.snapshot();
+    const countSpy = vi.fn(() => store.state.threads[0].messages.length);
+    const dispose = effect(countSpy, { scheduler: 'sync' });
+
+    expect(() =>
+      store.produce((draft) => {
+        draft.threads[0].messages.push({ id: 2 });
+        draft.threads.length = 1;
+        throw new Error('invalid thread');
+      })
+    ).toThrow('invalid thread');
+
+    expect(store.snapshot()).toBe(before);
+    expect(store.state.threads[1].name).toBe('Project Alpha');
+    expect(countSpy).toHaveBeenCalledTimes(1);
+    dispose();
+  });
+
+  it('should roll back with an enclosing transaction', () => {
+    const store = createStore({ messages: [{ read: false }] });
+    const unread = new Signal.Computed(
+      () => store.state.messages.filter((message) => !message.read).length
+    );
+
+    expect(() =>
+      transaction(() => {
+        store.produce((draft) => {
+          draft.messages[0].read = true;
+        });
+        expect(unread.get()).toBe(0);
+        throw new Error('later step failed');
+      })
+    ).toThrow('later step failed');
+
+    expect(unread.get()).toBe(1);
+    store.produce((draft) => {
+      draft.messages[0].read = true;
+    });
+    expect(unread.get()).toBe(0);
+  });
+
+  it('should use the given system', () => {
+    const isolated = createSignalSystem();
+    const store = createStore({ count: 0 }, { system: isolated, name: 'counter' });
+    const seen = [];
+    const dispose = isolated.effect(() => seen.push(store.state.count), { scheduler: 'sync' });
+
+    store.produce((draft) => {
+      draft.count++;
+    });
+
+    expect(seen).toEqual([0, 1]);
+    expect(isolated.engine.getNodes().map((node) => isolated.engine.getDebugName(node))).toContain(
+      'counter.count'
+    );
+    dispose();
+  });
+});
@@ -0,0 +1,194 @@
+import { defaultSystem } from './signals_tc39.js';
+import { toTarget } from './store.js';
+
+function compareIds(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// Orders writes by Lamport clock, then by tab id so concurrent writes resolve
+// the same way in every tab
+function compareStamps(a, b) {
+  return a.clock - b.clock || compareIds(a.tabId, b.tabId);
+}
+
+// The tab that started first leads; later tabs never take over from it
+function compareTabs(a, b) {
+  return a.startedAt - b.startedAt || compareIds(a.tabId, b.tabId);
+}
+
+function createTabId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Mirrors shared signals and stores between tabs over a BroadcastChannel.
+// Every local change is stamped with a Lamport clock and broadcast; a remote
+// change is applied only if its stamp is newer than the one held for that
+// key (last writer wins), and applying it is never broadcast back. Tabs also
+// exchange heartbeats to elect a leader, for work only one tab should do.
+// Without BroadcastChannel the tab is alone, and leads.
+function createTabSync(options = {}) {
+  const {
+    channel: channelName = 'signals',
+    heartbeatInterval = 1000,
+    leaseTimeout = heartbeatInterval * 3,
+    tabId = createTabId(),
+    BroadcastChannel = globalThis.BroadcastChannel,
+    name = 'tabSync',
+    system = defaultSystem,
+  } = options;
+  const { Signal, effect } = system;
+
+  const self = { tabId, startedAt: Date.now() };
+  const shared = new Map(); // key -> { target, stamp, lastValue, dispose }
+  const peers = new Map(); // tabId -> { tabId, startedAt, lastSeen }
+  const leaderState = new Signal.State(false, { name: `${name}.isLeader` });
+  const channel = BroadcastChannel ? new BroadcastChannel(channelName) : null;
+  let clock = 0;
+  let heartbeat = null;
+  let electionTimer = null;
+  let disposed = false;
+
+  const post = (message) => channel?.postMessage({ ...message, tabId });
+
+  function sendValue(key, entry) {
+    post({ type: 'value', key, value: entry.lastValue, clock: entry.stamp.clock });
+  }
+
+  function applyValue(message) {
+    const entry = shared.get(message.key);
+    clock = Math.max(clock, message.clock);
+    if (!entry || compareStamps(message, entry.stamp) <= 0) return;
+
+    entry.stamp = { clock: message.clock, tabId: message.tabId };
+    Signal.subtle.untrack(() => entry.target.write(message.value));
+    // What was just applied is not a local change, so it isn't sent back
+    entry.lastValue = Signal.subtle.untrack(entry.target.read);
+  }
+
+  function elect() {
+    const now = Date.now();
+    peers.forEach((peer, id) => {
+      if (now - peer.lastSeen > leaseTimeout) peers.delete(id);
+    });
+
+    const leader = [self, ...peers.values()].reduce((best, tab) =>
+      compareTabs(tab, best) < 0 ? tab : best
+    );
+    leaderState.set(leader === self);
+  }
+
+  function sendHeartbeat() {
+    post({ type: 'heartbeat', startedAt: self.startedAt });
+  }
+
+  function receive({ data: message }) {
+    if (disposed || !message || message.tabId === tabId) return;
+
+    switch (message.type) {
+      case 'heartbeat': {
+        const known = peers.has(message.tabId);
+        peers.set(message.tabId, {
+          tabId: message.tabId,
+          startedAt: message.startedAt,
+          lastSeen: Date.now(),
+        });
+        // Answer newcomers right away so they learn about this tab before electing
+        if (!known) sendHeartbeat();
+        if (electionTimer === null) elect();
+        break;
+      }
+      case 'bye':
+        peers.delete(message.tabId);
+        if (electionTimer === null) elect();
+        break;
+      case 'value':
+        applyValue(message);
+        break;
+      case 'request':
+        // Only values written since startup are sent; initial values carry no clock
+        shared.forEach((entry, key) => {
+          if (entry.stamp.clock > 0) sendValue(key, entry);
+        });
+        break;
+    }
+  }
+
+  if (channel) {
+    channel.onmessage = receive;
+    sendHeartbeat();
+    heartbeat = setInterval(() => {
+      sendHeartbeat();
+      elect();
+    }, heartbeatInterval);
+    // Wait one interval for the other tabs to answer before claiming leadership
+    electionTimer = setTimeout(() => {
+      electionTimer = null;
+      elect();
+    }, heartbeatInterval);
+  } else {
+    leaderState.set(true);
+  }
+
+  // Closing the tab hands leadership over without waiting for the lease to run out
+  const onPageHide = () => dispose();
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', onPageHide);
+  }
+
+  function dispose() {
+    if (disposed) return;
+    disposed = true;
+    clearInterval(heartbeat);
+    clearTimeout(electionTimer);
+    shared.forEach((entry) => entry.dispose());
+    shared.clear();
+    post({ type: 'bye' });
+    channel?.close();
+    leaderState.set(false);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', onPageHide);
+    }
+  }
+
+  return {
+    tabId,
+
+    // True in exactly one of the open tabs (once they have heard from each other)
+    isLeader: new Signal.Computed(() => leaderState.get()),
+
+    // Mirrors `source` under `key` in every tab that shares the same key
+    share(key, source) {
+      if (shared.has(key)) {
+        throw new Error(`${name} already shares "${key}"`);
+      }
+
+      const target = toTarget(source);
+      const entry = {
+        target,
+        stamp: { clock: 0, tabId: '' },
+        lastValue: Signal.subtle.untrack(target.read),
+        dispose: null,
+      };
+      shared.set(key, entry);
+
+      entry.dispose = effect(
+        () => {
+          const value = target.read();
+          if (value === entry.lastValue) return;
+
+          clock++;
+          entry.stamp = { clock, tabId };
+          entry.lastValue = value;
+          sendValue(key, entry);
+        },
+        { name: `${name}.share(${key})` }
+      );
+      post({ type: 'request' });
+    },
+
+    dispose,
+  };
+}
+
+export { createTabSync };
@@ -0,0 +1,239 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSignalSystem } from './signals_tc39.js';
+import { createStore } from './store.js';
+import { createTabSync } from './tabSync.js';
+
+// In-memory BroadcastChannel. Like the browser, it delivers a structured clone
+// of every message to the other channels with the same name asynchronously, on
+// a timer or when deliver() is called. Messages from tab ids in `muted` are
+// dropped, as if that tab had frozen.
+function createChannelHub() {
+  const channels = new Set();
+  const queue = [];
+
+  return class FakeBroadcastChannel {
+    static muted = new Set();
+
+    static deliver() {
+      while (queue.length > 0) {
+        const { sender, data } = queue.shift();
+        channels.forEach((channel) => {
+          if (channel !== sender && channel.name === sender.name) {
+            channel.onmessage?.({ data: structuredClone(data) });
+          }
+        });
+      }
+    }
+
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      channels.add(this);
+    }
+
+    postMessage(data) {
+      if (FakeBroadcastChannel.muted.has(data.tabId)) return;
+      queue.push({ sender: this, data });
+      setTimeout(FakeBroadcastChannel.deliver, 0);
+    }
+
+    close() {
+      channels.delete(this);
+    }
+  };
+}
+
+function openTab(BroadcastChannel, tabId) {
+  const system = createSignalSystem();
+  const threads = createStore({ threads: [] }, { system });
+  const activeThreadId = new system.Signal.State(null);
+  const sync = createTabSync({ BroadcastChannel, tabId, system });
+  sync.share('threads', threads);
+  BroadcastChannel.deliver();
+  return { system, threads, activeThreadId, sync };
+}
+
+// Lets each tab run its pending effects, then delivers what they broadcast
+function settle(BroadcastChannel, ...tabs) {
+  tabs.forEach((tab) => tab.system.flushSync());
+  BroadcastChannel.deliver();
+}
+
+describe('createTabSync', () => {
+  let BroadcastChannel;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    BroadcastChannel = createChannelHub();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('should mirror shared values into other tabs', () => {
+    const first = openTab(BroadcastChannel, 'a');
+    const second = openTab(BroadcastChannel, 'b');
+
+    first.threads.produce((draft) => {
+      draft.threads.push({ id: 1, messages: [] });
+    });
+    settle(BroadcastChannel, first);
+
+    expect(second.threads.state.threads.length).toBe(1);
+    first.sync.dispose();
+    second.sync.dispose();
+  });
+
+  it('should leave signals that are not shared alone', () => {
+    const first = openTab(BroadcastChannel, 'a');
+    const second = openTab(BroadcastChannel, 'b');
+
+    first.activeThreadId.set(1);
+    settle(BroadcastChannel, first);
+
+    expect(second.activeThreadId.get()).toBe(null);
+    first.sync.dispose();
+    second.sync.dispose();
+  });
+
+  it('should not broadcast values received from another tab', () => {
+    const first = openTab(BroadcastChannel, 'a');
+    const second = openTab(BroadcastChannel, 'b');
+    const spy = vi.spyOn(BroadcastChannel.prototype, 'postMessage');
+
+    first.threads.produce((draft) => {
+      draft.threads.push({ id: 1, messages: [] });
+    });
+    settle(BroadcastChannel, first);
+    settle(BroadcastChannel, second);
+
+    const values = spy.mock.calls.filter(([message]) => message.type === 'value');
+    expect(values.map(([message]) => message.tabId)).toEqual(['a']);
+    first.sync.dispose();
+    second.sync.dispose();
+  });
+
+  it('should resolve concurrent writes the same way in every tab', () => {
+    const first = openTab(BroadcastChannel, 'a');
+    const second = openTab(BroadcastChannel, 'b');
+
+    first.threads.produce((draft) => {
+      draft.threads.push({ id: 1, messages: [] });
+    });
+    second.threads.produce((draft) => {
+      draft.threads.push({ id: 2, messages: [] });
+    });
+    settle(BroadcastChannel, first, second);
+    settle(BroadcastChannel, first, second);
+
+    // Both writes carry clock 1, so the higher tab id wins
+    expect(first.threads.state.threads[0].id).toBe(2);
+    expect(second.threads.state.threads[0].id).toBe(2);
+    first.sync.dispose();
+    second.sync.dispose();
+  });
+
+  it('should let a later write win over one it has seen', () => {
+    const first = openTab(BroadcastChannel, 'b');
+    const second = openTab(BroadcastChannel, 'a');
+
+    first.threads.produce((draft) => {
+      draft.threads.push({ id: 1, messages: [] });
+    });
+    settle(BroadcastChannel, first, second);
+    second.threads.produce((draft) => {
+      draft.threads[0].messages.push({ id: 1 });
+    });
+    settle(BroadcastChannel, first, second);
+
+    expect(first.threads.state.threads[0].messages.length).toBe(1);
+    first.sync.dispose();
+    second.sync.dispose();
+  });
+
+  it('should send the latest values to a tab that opens later', () => {
+    const first = openTab(BroadcastChannel, 'a');
+    first.threads.produce((draft) => {
+      draft.threads.push({ id: 1, messages: [] });
+    });
+    settle(BroadcastChannel, first);
+
+    const second = openTab(BroadcastChannel, 'b');
+
+    expect(second.threads.state.threads.length).toBe(1);
+    first.sync.dispose();
+    second.sync.dispose();
+  });
+
+  it('should elect the tab that started first as the only leader', () => {
+    const first = openTab(BroadcastChannel, 'z');
+    vi.advanceTimersByTime(10);
+    const second = openTab(BroadcastChannel, 'a');
+
+    expect(first.sync.isLeader.get()).toBe(false);
+    vi.advanceTimersByTime(1000);
+
+    expect(first.sync.isLeader.get()).toBe(true);
+    expect(second.sync.isLeader.get()).toBe(false);
+    first.sync.dispose();
+    second.sync.dispose();
+  });
+
+  it('should hand leadership over when the leader closes', () => {
+    const first = openTab(BroadcastChannel, 'a');
+    const second = openTab(BroadcastChannel, 'b');
+    vi.advanceTimersByTime(1000);
+
+    first.sync.dispose();
+    BroadcastChannel.deliver();
+
+    expect(first.sync.isLeader.get()).toBe(false);
+    expect(second.sync.isLeader.get()).toBe(true);
+    second.sync.dispose();
+  });
+
+  it('should take over from a leader that stopped sending heartbeats', () => {
+    const first = openTab(BroadcastChannel, 'a');
+    const second = openTab(BroadcastChannel, 'b');
+    vi.advanceTimersByTime(1000);
+    expect(second.sync.isLeader.get()).toBe(false);
+
+    BroadcastChannel.muted.add('a');
+    vi.advanceTimersByTime(4000);
+
+    expect(second.sync.isLeader.get()).toBe(true);
+    first.sync.dispose();
+    second.sync.dispose();
+  });
+
+  it('should leave on pagehide and stop listening for it once disposed', () => {
+    // Each tab gets a window of its own
+    const firstPage = new EventTarget();
+    const addSpy = vi.spyOn(firstPage, 'addEventListener');
+    const removeSpy = vi.spyOn(firstPage, 'removeEventListener');
+    vi.stubGlobal('window', firstPage);
+    const first = openTab(BroadcastChannel, 'a');
+    vi.stubGlobal('window', new EventTarget());
+    const second = openTab(BroadcastChannel, 'b');
+    vi.advanceTimersByTime(1000);
+    vi.stubGlobal('window', firstPage);
+
+    firstPage.dispatchEvent(new Event('pagehide'));
+    BroadcastChannel.deliver();
+
+    expect(first.sync.isLeader.get()).toBe(false);
+    expect(second.sync.isLeader.get()).toBe(true);
+    expect(removeSpy).toHaveBeenCalledWith('pagehide', addSpy.mock.calls[0][1]);
+    second.sync.dispose();
+  });
+
+  it('should lead alone without BroadcastChannel', () => {
+    const system = createSignalSystem();
+    const sync = createTabSync({ BroadcastChannel: null, system });
+
+    expect(sync.isLeader.get()).toBe(true);
+    sync.dispose();
+  });
+});
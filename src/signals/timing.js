@@ -0,0 +1,140 @@
+import { defaultSystem } from './signals_tc39.js';
+import { watchValues } from './observable.js';
+
+// Held while unwatched: reads then go straight to the source
+const UNWATCHED = {};
+
+// Read-only signal that follows `source` through a timing policy, and only
+// while watched. createTimer(emit) returns { push(entry), cancel() }: push()
+// receives every new source entry ({ value } or { error }, so errors are timed
+// like values) and calls emit() when it should show up. Watching starts by
+// catching up with the source right away; unwatching cancels the timers,
+// dropping entries that were still pending, and reads see the source again.
+function timed(source, options, defaultName, createTimer) {
+  const { name = defaultName, system = defaultSystem } = options;
+  const { Signal } = system;
+  let stop = null;
+  let timer = null;
+
+  const output = new Signal.State(UNWATCHED, {
+    name: `${name}.value`,
+    [Signal.subtle.watched]() {
+      let caughtUp = false;
+      const emit = (entry) => output.set(entry);
+      const push = (entry) => {
+        if (caughtUp) {
+          timer.push(entry);
+        } else {
+          caughtUp = true;
+          emit(entry);
+        }
+      };
+
+      timer = createTimer(emit);
+      stop = watchValues(source, {
+        system,
+        name,
+        onValue: (value) => push({ value }),
+        onError: (error) => push({ error }),
+      });
+    },
+    [Signal.subtle.unwatched]() {
+      stop?.();
+      timer?.cancel();
+      stop = null;
+      timer = null;
+      output.set(UNWATCHED);
+    },
+  });
+
+  return new Signal.Computed(
+    () => {
+      const entry = output.get();
+      if (entry === UNWATCHED) return source.get();
+      if ('error' in entry) throw entry.error;
+      return entry.value;
+    },
+    { name }
+  );
+}
+
+// Takes the source's value once it has stopped changing for `ms`
+function debounced(source, ms, options = {}) {
+  return timed(source, options, 'debounced', (emit) => {
+    let timeout = null;
+
+    return {
+      push(entry) {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+          timeout = null;
+          emit(entry);
+        }, ms);
+      },
+      cancel() {
+        clearTimeout(timeout);
+        timeout = null;
+      },
+    };
+  });
+}
+
+// Takes a change right away, then at most one value per `ms`: the latest
+// change made during the wait is taken when it ends
+function throttled(source, ms, options = {}) {
+  return timed(source, options, 'throttled', (emit) => {
+    let timeout = null;
+    let trailing = null;
+
+    const wait = () => {
+      timeout = setTimeout(() => {
+        timeout = null;
+        if (trailing) {
+          const entry = trailing;
+          trailing = null;
+          emit(entry);
+          wait();
+        }
+      }, ms);
+    };
+
+    return {
+      push(entry) {
+        if (timeout === null) {
+          emit(entry);
+          wait();
+        } else {
+          trailing = entry;
+        }
+      },
+      cancel() {
+        clearTimeout(timeout);
+        timeout = null;
+        trailing = null;
+      },
+    };
+  });
+}
+
+// Takes every value of the source, `ms` after it changed to it
+function delayed(source, ms, options = {}) {
+  return timed(source, options, 'delayed', (emit) => {
+    const timeouts = new Set();
+
+    return {
+      push(entry) {
+        const timeout = setTimeout(() => {
+          timeouts.delete(timeout);
+          emit(entry);
+        }, ms);
+        timeouts.add(timeout);
+      },
+      cancel() {
+        timeouts.forEach((timeout) => clearTimeout(timeout));
+        timeouts.clear();
+      },
+    };
+  });
+}
+
+export { debounced, throttled, delayed };
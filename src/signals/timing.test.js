@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSignalSystem } from './signals_tc39.js';
+import { debounced, throttled, delayed } from './timing.js';
+
+describe('timing operators', () => {
+  let system;
+  let input;
+
+  // Writes the source and delivers the watcher notification it causes
+  const type = (value) => {
+    input.set(value);
+    system.flushSync();
+  };
+
+  // Records every value the signal shows while an effect watches it
+  const observe = (signal) => {
+    const seen = [];
+    const dispose = system.effect(() => seen.push(signal.get()), { scheduler: 'sync' });
+    return { seen, dispose };
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    system = createSignalSystem();
+    input = new system.Signal.State('');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('debounced', () => {
+    it('should take the value once the source stops changing', () => {
+      const search = debounced(input, 300, { system });
+      const { seen, dispose } = observe(search);
+
+      type('h');
+      vi.advanceTimersByTime(200);
+      type('hi');
+      vi.advanceTimersByTime(299);
+      expect(seen).toEqual(['']);
+
+      vi.advanceTimersByTime(1);
+      expect(seen).toEqual(['', 'hi']);
+      dispose();
+    });
+
+    it('should be read-only', () => {
+      const search = debounced(input, 300, { system });
+
+      expect(search.set).toBeUndefined();
+    });
+  });
+
+  describe('throttled', () => {
+    it('should take a change right away and the latest one after each wait', () => {
+      const preview = throttled(input, 100, { system });
+      const { seen, dispose } = observe(preview);
+
+      type('a');
+      type('ab');
+      type('abc');
+      expect(seen).toEqual(['', 'a']);
+
+      vi.advanceTimersByTime(100);
+      expect(seen).toEqual(['', 'a', 'abc']);
+
+      vi.advanceTimersByTime(100);
+      type('abcd');
+      expect(seen).toEqual(['', 'a', 'abc', 'abcd']);
+      dispose();
+    });
+  });
+
+  describe('delayed', () => {
+    it('should take every value, in order, after the delay', () => {
+      const echo = delayed(input, 50, { system });
+      const { seen, dispose } = observe(echo);
+
+      type('a');
+      vi.advanceTimersByTime(20);
+      type('b');
+      vi.advanceTimersByTime(30);
+      expect(seen).toEqual(['', 'a']);
+
+      vi.advanceTimersByTime(20);
+      expect(seen).toEqual(['', 'a', 'b']);
+      dispose();
+    });
+
+    it('should delay errors like values', () => {
+      const parsed = new system.Signal.Computed(() => JSON.parse(input.get() || 'null'));
+      const echo = delayed(parsed, 50, { system });
+      const watcher = new system.Signal.subtle.Watcher(() => {});
+      watcher.watch(echo);
+      echo.get();
+
+      type('{');
+      expect(echo.get()).toBe(null);
+
+      vi.advanceTimersByTime(50);
+      expect(() => echo.get()).toThrow(SyntaxError);
+
+      type('1');
+      vi.advanceTimersByTime(50);
+      expect(echo.get()).toBe(1);
+      watcher.unwatch(echo);
+    });
+  });
+
+  describe.each([
+    ['debounced', debounced],
+    ['throttled', throttled],
+    ['delayed', delayed],
+  ])('%s while unwatched', (name, operator) => {
+    it('should cancel its timers and catch up when watched again', () => {
+      const settled = operator(input, 100, { system });
+      const first = observe(settled);
+      type('a');
+      type('ab');
+
+      first.dispose();
+
+      expect(vi.getTimerCount()).toBe(0);
+      expect(system.Signal.subtle.hasSinks(input)).toBe(false);
+
+      type('abc');
+      const second = observe(settled);
+      expect(second.seen).toEqual(['abc']);
+      second.dispose();
+    });
+  });
+});
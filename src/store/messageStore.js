@@ -1,4 +1,11 @@
-import { Signal, batch } from '../signals/signals_tc39.js';
+import { Signal, transaction, effect, deepEqual } from '../signals/signals_tc39.js';
+import { createStore } from '../signals/store.js';
+import { ReactiveMap } from '../signals/collections.js';
+import { linkedSignal } from '../signals/linkedSignal.js';
+import { createHistory } from '../signals/history.js';
+import { persist } from '../signals/persisted.js';
+import { createTabSync } from '../signals/tabSync.js';
+import { debounced } from '../signals/timing.js';
 
 // Sample data
 const initialThreads = [
@@ -74,64 +81,150 @@ const initialThreads = [
   },
 ];
 
-// SIGNALS - Core reactive state
-export const threads = new Signal.State([...initialThreads]);
-export const activeThreadId = new Signal.State(null);
-export const messageInput = new Signal.State('');
+// STORE - Threads live in a deep store, so appending a message only reruns
+// dependents of that thread's messages
+export const threadStore = createStore({ threads: initialThreads }, { name: 'threadStore' });
 
-// COMPUTED - Derived reactive values
-export const activeThread = new Signal.Computed(() => {
-  const threadId = activeThreadId.get();
-  const allThreads = threads.get();
-  if (!threadId) return null;
-  const found = allThreads.find((t) => t.id === threadId);
-  return found || null;
+// PERSISTENCE - Threads are restored from localStorage on load and saved as they
+// change; the sample threads are only used on a first visit
+export const threadPersistence = persist(threadStore, {
+  key: 'vanilla-signals.threads',
+  name: 'threadPersistence',
 });
 
-export const totalMessageCount = new Signal.Computed(() => {
-  return threads.get().reduce((total, thread) => total + thread.messages.length, 0);
+// TAB SYNC - Threads are mirrored into every open tab of the app; the active
+// thread and drafts stay per tab
+export const tabSync = createTabSync({ channel: 'vanilla-signals', name: 'tabSync' });
+tabSync.share('threads', threadStore);
+
+// SIGNALS - Core reactive state
+export const threads = new Signal.Computed(() => threadStore.snapshot().threads, {
+  name: 'threads',
 });
+export const activeThreadId = new Signal.State(null, { name: 'activeThreadId' });
+
+// Unsent drafts by thread id, saved when switching away from a thread
+export const savedDrafts = new ReactiveMap([], { name: 'savedDrafts' });
 
-export const unreadCount = new Signal.Computed(() => {
-  return threads.get().reduce((total, thread) => {
-    return total + thread.messages.filter((msg) => !msg.read).length;
-  }, 0);
+// The composer starts from the active thread's saved draft, is editable, and
+// resets to the next thread's draft when the active thread changes
+export const messageInput = linkedSignal(() => activeThreadId.get(), {
+  computation: (threadId) => savedDrafts.get(threadId) ?? '',
+  name: 'messageInput',
 });
 
-export const totalThreadCount = new Signal.Computed(() => threads.get().length);
+// COMPUTED - Derived reactive values
+export const activeThread = new Signal.Computed(
+  () => {
+    const threadId = activeThreadId.get();
+    const allThreads = threadStore.state.threads;
+    if (!threadId) return null;
+    const found = allThreads.find((t) => t.id === threadId);
+    return found || null;
+  },
+  { name: 'activeThread' }
+);
+
+export const totalMessageCount = new Signal.Computed(
+  () => {
+    return threadStore.state.threads.reduce((total, thread) => total + thread.messages.length, 0);
+  },
+  { name: 'totalMessageCount' }
+);
+
+export const unreadCount = new Signal.Computed(
+  () => {
+    return threadStore.state.threads.reduce((total, thread) => {
+      return total + thread.messages.filter((msg) => !msg.read).length;
+    }, 0);
+  },
+  { name: 'unreadCount' }
+);
 
-export const canSendMessage = new Signal.Computed(() => {
-  const threadId = activeThreadId.get();
-  const inputValue = messageInput.get();
-  return threadId !== null && inputValue.trim().length > 0;
+export const totalThreadCount = new Signal.Computed(() => threadStore.state.threads.length, {
+  name: 'totalThreadCount',
 });
 
-export const threadStats = new Signal.Computed(() => {
-  return threads.get().map((thread) => ({
-    ...thread,
-    messageCount: thread.messages.length,
-    unreadCount: thread.messages.filter((msg) => !msg.read).length,
-    lastMessage: thread.messages[thread.messages.length - 1],
-  }));
+export const canSendMessage = new Signal.Computed(
+  () => {
+    const threadId = activeThreadId.get();
+    const inputValue = messageInput.get();
+    return threadId !== null && inputValue.trim().length > 0;
+  },
+  { name: 'canSendMessage' }
+);
+
+export const threadStats = new Signal.Computed(
+  () => {
+    return threadStore.state.threads.map((thread) => ({
+      ...thread,
+      messageCount: thread.messages.length,
+      unreadCount: thread.messages.filter((msg) => !msg.read).length,
+      lastMessage: thread.messages[thread.messages.length - 1],
+    }));
+  },
+  // Rebuilt objects that match the previous stats don't re-render the sidebar
+  { name: 'threadStats', equals: deepEqual }
+);
+
+const findThread = (allThreads, threadId) => allThreads.find((t) => t.id === threadId);
+
+const appendMessage = (threadId, message) => {
+  threadStore.produce((draft) => {
+    findThread(draft.threads, threadId)?.messages.push(message);
+  });
+};
+
+// HISTORY - Undo/redo of sent messages and new threads. Only those are recorded;
+// replies, read flags and writes from other tabs happen outside it and are kept
+// when a step is undone. The composer and saved drafts are transient, so they
+// are left out and keep their values on undo
+export const history = createHistory([threadStore, activeThreadId], {
+  name: 'history',
+  limit: 50,
 });
 
+const storeDraft = (threadId, draft) => {
+  if (threadId === null) return;
+
+  if (draft.trim()) {
+    savedDrafts.set(threadId, draft);
+  } else {
+    savedDrafts.delete(threadId);
+  }
+};
+
+const saveDraft = () => storeDraft(activeThreadId.peek(), messageInput.peek());
+
+// DRAFT AUTOSAVE - The composer is saved once typing pauses, not on every
+// keystroke. The thread id travels with the text, so a pause that ends after
+// switching threads never saves one thread's text under another.
+const composerDraft = new Signal.Computed(
+  () => ({ threadId: activeThreadId.get(), text: messageInput.get() }),
+  { name: 'composerDraft', equals: deepEqual }
+);
+export const settledDraft = debounced(composerDraft, 500, { name: 'settledDraft' });
+
+effect(
+  () => {
+    const { threadId, text } = settledDraft.get();
+    Signal.subtle.untrack(() => storeDraft(threadId, text));
+  },
+  { name: 'draftAutosave' }
+);
+
 // ACTIONS - State mutations
 export const selectThread = (threadId) => {
-  batch(() => {
+  transaction(() => {
+    saveDraft();
     activeThreadId.set(threadId);
 
     // Mark messages as read
-    const currentThreads = threads.get();
-    const updatedThreads = currentThreads.map((thread) => {
-      if (thread.id === threadId) {
-        return {
-          ...thread,
-          messages: thread.messages.map((msg) => ({ ...msg, read: true })),
-        };
-      }
-      return thread;
+    threadStore.produce((draft) => {
+      findThread(draft.threads, threadId)?.messages.forEach((msg) => {
+        msg.read = true;
+      });
     });
-    threads.set(updatedThreads);
   });
 
   // Dispatch custom event
@@ -146,29 +239,17 @@ export const sendMessage = (content) => {
   const threadId = activeThreadId.get();
   if (!threadId || !content.trim()) return;
 
-  batch(() => {
+  history.transact(() => {
     // Add message to thread
-    const currentThreads = threads.get();
-    const updatedThreads = currentThreads.map((thread) => {
-      if (thread.id === threadId) {
-        return {
-          ...thread,
-          messages: [
-            ...thread.messages,
-            {
-              id: Date.now(),
-              author: 'You',
-              content: content.trim(),
-              timestamp: Date.now(),
-              read: true,
-            },
-          ],
-        };
-      }
-      return thread;
+    appendMessage(threadId, {
+      id: Date.now(),
+      author: 'You',
+      content: content.trim(),
+      timestamp: Date.now(),
+      read: true,
     });
 
-    threads.set(updatedThreads);
+    savedDrafts.delete(threadId);
     messageInput.set('');
   });
 
@@ -211,14 +292,18 @@ export const createNewThread = () => {
     ],
   };
 
-  batch(() => {
+  history.transact(() => {
+    saveDraft();
+
     // Add new thread with messages already marked as read
     const newThreadWithReadMessages = {
       ...newThread,
       messages: newThread.messages.map((msg) => ({ ...msg, read: true })),
     };
 
-    threads.set([...threads.get(), newThreadWithReadMessages]);
+    threadStore.produce((draft) => {
+      draft.threads.push(newThreadWithReadMessages);
+    });
     activeThreadId.set(newThread.id);
   });
 
@@ -240,7 +325,7 @@ const simulateResponse = (threadId) => {
     "Let's discuss this further.",
   ];
 
-  const thread = threads.get().find((t) => t.id === threadId);
+  const thread = findThread(threadStore.state.threads, threadId);
   if (!thread) return;
 
   const otherParticipants = thread.participants.filter((p) => p !== 'You');
@@ -249,27 +334,13 @@ const simulateResponse = (threadId) => {
   const randomParticipant = otherParticipants[Math.floor(Math.random() * otherParticipants.length)];
   const randomResponse = responses[Math.floor(Math.random() * responses.length)];
 
-  const currentThreads = threads.get();
-  const updatedThreads = currentThreads.map((t) => {
-    if (t.id === threadId) {
-      return {
-        ...t,
-        messages: [
-          ...t.messages,
-          {
-            id: Date.now(),
-            author: randomParticipant,
-            content: randomResponse,
-            timestamp: Date.now(),
-            read: false,
-          },
-        ],
-      };
-    }
-    return t;
+  appendMessage(threadId, {
+    id: Date.now(),
+    author: randomParticipant,
+    content: randomResponse,
+    timestamp: Date.now(),
+    read: false,
   });
-
-  threads.set(updatedThreads);
 };
 
 // Helper function for simulating movie quote responses
@@ -386,7 +457,7 @@ export const simulateMovieQuote = (threadId) => {
     'I shall call him Squishy and he shall be mine.',
   ];
 
-  const thread = threads.get().find((t) => t.id === threadId);
+  const thread = findThread(threadStore.state.threads, threadId);
   if (!thread) return;
 
   const otherParticipants = thread.participants.filter((p) => p !== 'You');
@@ -395,32 +466,18 @@ export const simulateMovieQuote = (threadId) => {
   const randomParticipant = otherParticipants[Math.floor(Math.random() * otherParticipants.length)];
   const randomQuote = movieQuotes[Math.floor(Math.random() * movieQuotes.length)];
 
-  const currentThreads = threads.get();
-  const updatedThreads = currentThreads.map((t) => {
-    if (t.id === threadId) {
-      return {
-        ...t,
-        messages: [
-          ...t.messages,
-          {
-            id: Date.now(),
-            author: randomParticipant,
-            content: randomQuote,
-            timestamp: Date.now(),
-            read: false,
-          },
-        ],
-      };
-    }
-    return t;
+  appendMessage(threadId, {
+    id: Date.now(),
+    author: randomParticipant,
+    content: randomQuote,
+    timestamp: Date.now(),
+    read: false,
   });
-
-  threads.set(updatedThreads);
 };
 
 // Function to send a movie quote to a random thread
 export const sendRandomMovieQuote = () => {
-  const allThreads = threads.get();
+  const allThreads = threadStore.state.threads;
   if (allThreads.length === 0) return;
 
   const randomThread = allThreads[Math.floor(Math.random() * allThreads.length)];